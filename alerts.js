@@ -0,0 +1,206 @@
+const db = require('./db');
+const { getClassAttendanceStats, attendancePercent } = require('./stats');
+const { queueWebhookEvent, kickWebhookQueue } = require('./webhooks');
+
+// Attendance alerts: a periodic scan looks for students who are slipping and records
+// one alert per student and alert type in attendance_alerts. An alert stays unresolved
+// while the condition holds (later scans refresh its value) and is resolved automatically
+// once it clears, so acknowledging an alert never causes it to be raised again.
+
+const ALERT_TYPES = ['consecutive_absences', 'low_percentage', 'pattern_change'];
+
+// Thresholds can be tuned through the environment
+const ALERT_CONSECUTIVE_ABSENCES = parseInt(process.env.ALERT_CONSECUTIVE_ABSENCES || '3', 10);
+const ALERT_MIN_PERCENTAGE = Number(process.env.ALERT_MIN_PERCENTAGE || '75');
+// Pattern change compares the last ALERT_PATTERN_WINDOW_DAYS with the ALERT_PATTERN_BASELINE_DAYS
+// before them; a drop of ALERT_PATTERN_DROP percentage points or more raises an alert.
+const ALERT_PATTERN_WINDOW_DAYS = parseInt(process.env.ALERT_PATTERN_WINDOW_DAYS || '14', 10);
+const ALERT_PATTERN_BASELINE_DAYS = parseInt(process.env.ALERT_PATTERN_BASELINE_DAYS || '56', 10);
+const ALERT_PATTERN_DROP = Number(process.env.ALERT_PATTERN_DROP || '25');
+// Percentages over fewer counted sessions than this are too noisy to alert on
+const ALERT_MIN_SESSIONS = parseInt(process.env.ALERT_MIN_SESSIONS || '5', 10);
+
+// Current run of absences: walk each student's marks newest first and count zero-weight
+// statuses until one with weight is found. Excused statuses are skipped.
+async function detectConsecutiveAbsences() {
+  const result = await db.query(
+    `SELECT a.student_id, st.class_id, ast.weight, ast.counts_in_total
+     FROM attendance a
+     JOIN students st ON st.id = a.student_id
+     JOIN sessions sess ON sess.id = a.session_id
+     JOIN attendance_statuses ast ON ast.code = a.status
+     ORDER BY a.student_id, sess.date DESC, sess.id DESC`
+  );
+
+  const streaks = new Map();
+  result.rows.forEach((r) => {
+    if (!streaks.has(r.student_id)) {
+      streaks.set(r.student_id, { class_id: r.class_id, count: 0, done: false });
+    }
+    const entry = streaks.get(r.student_id);
+    if (entry.done || !r.counts_in_total) return;
+    if (Number(r.weight) === 0) {
+      entry.count += 1;
+    } else {
+      entry.done = true;
+    }
+  });
+
+  const detections = [];
+  for (const [studentId, entry] of streaks) {
+    if (entry.count >= ALERT_CONSECUTIVE_ABSENCES) {
+      detections.push({
+        student_id: studentId,
+        class_id: entry.class_id,
+        alert_type: 'consecutive_absences',
+        value: entry.count,
+        threshold: ALERT_CONSECUTIVE_ABSENCES,
+        details: `Absent for the last ${entry.count} sessions`,
+      });
+    }
+  }
+  return detections;
+}
+
+// Attendance percentage for the current term (all time when no term is in progress)
+async function detectLowPercentage() {
+  const termResult = await db.query(
+    'SELECT start_date FROM academic_terms WHERE CURRENT_DATE BETWEEN start_date AND end_date'
+  );
+  const from = termResult.rows.length > 0 ? termResult.rows[0].start_date : null;
+  const classes = await db.query('SELECT id FROM classes ORDER BY id');
+
+  const detections = [];
+  for (const c of classes.rows) {
+    const rows = await getClassAttendanceStats(c.id, { from, mode: 'marked' });
+    rows.forEach((r) => {
+      // Students who have left the class are checked in their current one
+      if (r.enrolled_to !== null) return;
+      if (r.total < ALERT_MIN_SESSIONS || Number(r.percent) >= ALERT_MIN_PERCENTAGE) return;
+      detections.push({
+        student_id: r.student_id,
+        class_id: c.id,
+        alert_type: 'low_percentage',
+        value: Number(r.percent),
+        threshold: ALERT_MIN_PERCENTAGE,
+        details: `Attendance at ${r.percent}% over ${r.total} sessions${from ? ' this term' : ''}`,
+      });
+    });
+  }
+  return detections;
+}
+
+async function detectPatternChange() {
+  const result = await db.query(
+    `SELECT st.id AS student_id, st.class_id,
+            COUNT(CASE WHEN ast.counts_in_total AND sess.date > CURRENT_DATE - $1::int THEN 1 END) AS recent_total,
+            COALESCE(SUM(CASE WHEN ast.counts_in_total AND sess.date > CURRENT_DATE - $1::int THEN ast.weight END), 0) AS recent_presents,
+            COUNT(CASE WHEN ast.counts_in_total AND sess.date <= CURRENT_DATE - $1::int THEN 1 END) AS baseline_total,
+            COALESCE(SUM(CASE WHEN ast.counts_in_total AND sess.date <= CURRENT_DATE - $1::int THEN ast.weight END), 0) AS baseline_presents
+     FROM attendance a
+     JOIN students st ON st.id = a.student_id
+     JOIN sessions sess ON sess.id = a.session_id
+     JOIN attendance_statuses ast ON ast.code = a.status
+     WHERE sess.date > CURRENT_DATE - ($1::int + $2::int)
+       AND sess.date <= CURRENT_DATE
+     GROUP BY st.id, st.class_id`,
+    [ALERT_PATTERN_WINDOW_DAYS, ALERT_PATTERN_BASELINE_DAYS]
+  );
+
+  const detections = [];
+  result.rows.forEach((r) => {
+    // A couple of recent sessions is enough to notice a change; the baseline needs more
+    if (Number(r.recent_total) < 2 || Number(r.baseline_total) < ALERT_MIN_SESSIONS) return;
+    const recent = Number(attendancePercent(r.recent_presents, r.recent_total));
+    const baseline = Number(attendancePercent(r.baseline_presents, r.baseline_total));
+    const drop = baseline - recent;
+    if (drop < ALERT_PATTERN_DROP) return;
+    detections.push({
+      student_id: r.student_id,
+      class_id: r.class_id,
+      alert_type: 'pattern_change',
+      value: Number(drop.toFixed(1)),
+      threshold: ALERT_PATTERN_DROP,
+      details: `Attendance fell from ${baseline.toFixed(1)}% to ${recent.toFixed(1)}% over the last ${ALERT_PATTERN_WINDOW_DAYS} days`,
+    });
+  });
+  return detections;
+}
+
+let runningScan = null;
+
+// Run every detector and reconcile the results with the unresolved alerts in one transaction.
+// Resolves to { raised, updated, resolved } where raised holds the newly created alert rows.
+// Concurrent callers share the scan that is already running.
+function runAlertScan() {
+  if (!runningScan) {
+    runningScan = scanAlerts().finally(() => {
+      runningScan = null;
+    });
+  }
+  return runningScan;
+}
+
+async function scanAlerts() {
+  const detections = [
+    ...(await detectConsecutiveAbsences()),
+    ...(await detectLowPercentage()),
+    ...(await detectPatternChange()),
+  ];
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    const existingResult = await client.query(
+      'SELECT id, student_id, alert_type FROM attendance_alerts WHERE resolved_at IS NULL'
+    );
+    const existing = new Map(existingResult.rows.map((r) => [`${r.student_id}:${r.alert_type}`, r.id]));
+
+    const raised = [];
+    let updated = 0;
+    for (const d of detections) {
+      const key = `${d.student_id}:${d.alert_type}`;
+      if (existing.has(key)) {
+        await client.query(
+          `UPDATE attendance_alerts
+           SET class_id = $1, value = $2, threshold = $3, details = $4, last_detected_at = NOW()
+           WHERE id = $5`,
+          [d.class_id, d.value, d.threshold, d.details, existing.get(key)]
+        );
+        existing.delete(key);
+        updated += 1;
+      } else {
+        const result = await client.query(
+          `INSERT INTO attendance_alerts (student_id, class_id, alert_type, value, threshold, details)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING *`,
+          [d.student_id, d.class_id, d.alert_type, d.value, d.threshold, d.details]
+        );
+        raised.push(result.rows[0]);
+        await queueWebhookEvent(client, 'alert.raised', result.rows[0]);
+      }
+    }
+
+    // Whatever was not detected again has cleared
+    const clearedIds = Array.from(existing.values());
+    if (clearedIds.length > 0) {
+      await client.query('UPDATE attendance_alerts SET resolved_at = NOW() WHERE id = ANY($1::int[])', [clearedIds]);
+    }
+
+    await client.query('COMMIT');
+    if (raised.length > 0) {
+      kickWebhookQueue();
+    }
+    return { raised, updated, resolved: clearedIds.length };
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  ALERT_TYPES,
+  runAlertScan,
+};
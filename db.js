@@ -27,11 +27,15 @@ async function initializeDatabase() {
   try {
     const schemaSql = fs.readFileSync(SCHEMA_FILE, 'utf8');
     
-    // Split schema into individual statements (PostgreSQL requires separate statements)
+    // Split schema into individual statements (PostgreSQL requires separate statements).
+    // Comment lines are stripped first so a statement preceded by a comment is not dropped.
     const statements = schemaSql
+      .split('\n')
+      .filter(line => !line.trim().startsWith('--'))
+      .join('\n')
       .split(';')
       .map(s => s.trim())
-      .filter(s => s.length > 0 && !s.startsWith('--'));
+      .filter(s => s.length > 0);
 
     const client = await pool.connect();
     try {
@@ -40,9 +44,14 @@ async function initializeDatabase() {
       // Execute statements with better error handling
       for (const statement of statements) {
         if (statement.trim()) {
+          // Each statement runs under a savepoint so an ignored error does not
+          // abort the surrounding transaction.
+          await client.query('SAVEPOINT schema_stmt');
           try {
             await client.query(statement);
+            await client.query('RELEASE SAVEPOINT schema_stmt');
           } catch (stmtErr) {
+            await client.query('ROLLBACK TO SAVEPOINT schema_stmt');
             // Ignore non-critical errors:
             // - "already exists" for CREATE TABLE IF NOT EXISTS
             // - "duplicate key" for INSERT ... ON CONFLICT DO NOTHING
@@ -72,12 +81,58 @@ async function initializeDatabase() {
         "ALTER TABLE users ADD COLUMN IF NOT EXISTS phone TEXT",
         "ALTER TABLE users ADD COLUMN IF NOT EXISTS subject TEXT",
         "ALTER TABLE users ADD COLUMN IF NOT EXISTS experience TEXT",
+        // Attendance statuses moved from a fixed CHECK to the attendance_statuses table
+        "ALTER TABLE attendance DROP CONSTRAINT IF EXISTS attendance_status_check",
+        "ALTER TABLE attendance ALTER COLUMN status TYPE VARCHAR(20)",
+        "ALTER TABLE attendance ADD CONSTRAINT attendance_status_fkey FOREIGN KEY (status) REFERENCES attendance_statuses(code)",
+        // Sessions can be finalized (locked) by an admin
+        "ALTER TABLE sessions ADD COLUMN IF NOT EXISTS finalized_at TIMESTAMP",
+        "ALTER TABLE sessions ADD COLUMN IF NOT EXISTS finalized_by INTEGER",
+        // Sessions generated from the timetable remember their slot (one session per slot per day)
+        "ALTER TABLE sessions ADD COLUMN IF NOT EXISTS timetable_slot_id INTEGER",
+        "ALTER TABLE sessions ADD CONSTRAINT sessions_timetable_slot_fkey FOREIGN KEY (timetable_slot_id) REFERENCES timetable_slots(id) ON DELETE SET NULL",
+        "CREATE UNIQUE INDEX IF NOT EXISTS idx_sessions_slot_date ON sessions(timetable_slot_id, date) WHERE timetable_slot_id IS NOT NULL",
+        // Attendance rows carry a version for conflict detection when offline marks are synced
+        "ALTER TABLE attendance ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1",
+        "ALTER TABLE attendance ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP",
+        "ALTER TABLE attendance_history ADD COLUMN IF NOT EXISTS client_marked_at TIMESTAMP",
+        // Sessions and timetable slots can be tagged with a subject
+        "ALTER TABLE sessions ADD COLUMN IF NOT EXISTS subject_id INTEGER",
+        "ALTER TABLE sessions ADD CONSTRAINT sessions_subject_fkey FOREIGN KEY (subject_id) REFERENCES subjects(id) ON DELETE SET NULL",
+        "ALTER TABLE timetable_slots ADD COLUMN IF NOT EXISTS subject_id INTEGER",
+        "ALTER TABLE timetable_slots ADD CONSTRAINT timetable_slots_subject_fkey FOREIGN KEY (subject_id) REFERENCES subjects(id) ON DELETE SET NULL",
+        // Sessions carry their own period and times (several sessions per day)
+        "ALTER TABLE sessions ADD COLUMN IF NOT EXISTS period INTEGER",
+        "ALTER TABLE sessions ADD COLUMN IF NOT EXISTS start_time TIME",
+        "ALTER TABLE sessions ADD COLUMN IF NOT EXISTS end_time TIME",
+        "ALTER TABLE sessions ADD CONSTRAINT sessions_times_check CHECK (start_time < end_time)",
+        // Sessions generated before that take the period and times of their timetable slot
+        `UPDATE sessions s SET period = ts.period, start_time = ts.start_time, end_time = ts.end_time
+         FROM timetable_slots ts
+         WHERE ts.id = s.timetable_slot_id AND s.period IS NULL AND s.start_time IS NULL
+           AND (ts.start_time IS NULL OR ts.end_time IS NULL OR ts.start_time < ts.end_time)`,
+        // Sessions of past years are archived by the rollover
+        "ALTER TABLE sessions ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP",
+        "ALTER TABLE sessions ADD COLUMN IF NOT EXISTS archived_by INTEGER",
+        // One-time passwords must be replaced at the next login
+        "ALTER TABLE users ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN NOT NULL DEFAULT FALSE",
+        "ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP",
+        // Students from before enrollment history joined their current class with its first session
+        `INSERT INTO enrollments (student_id, class_id, effective_from, reason)
+         SELECT st.id, st.class_id,
+                LEAST(COALESCE((SELECT MIN(sess.date) FROM sessions sess WHERE sess.class_id = st.class_id), CURRENT_DATE), CURRENT_DATE),
+                'enrolled'
+         FROM students st
+         WHERE NOT EXISTS (SELECT 1 FROM enrollments e WHERE e.student_id = st.id)`,
       ];
 
       for (const sql of alterStatements) {
+        await client.query('SAVEPOINT schema_alter');
         try {
           await client.query(sql);
+          await client.query('RELEASE SAVEPOINT schema_alter');
         } catch (alterErr) {
+          await client.query('ROLLBACK TO SAVEPOINT schema_alter');
           // Ignore "duplicate column" errors
           if (!/already exists/i.test(alterErr.message)) {
             console.error('Migration error:', alterErr.message);
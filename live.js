@@ -0,0 +1,102 @@
+const { EventEmitter } = require('events');
+const db = require('./db');
+
+// Live attendance changes. Writers call publishLiveChange inside their transaction; it uses
+// pg_notify, so the change is only announced once the transaction commits, and every server
+// instance listening on the channel hears it (not just the one that handled the request).
+// Each instance keeps one pooled connection LISTENing while anyone subscribes to changes.
+
+const LIVE_CHANNEL = 'attendance_live';
+// NOTIFY payloads are limited to 8000 bytes; larger changes are sent without their records
+const LIVE_PAYLOAD_LIMIT = 7900;
+const LIVE_RECONNECT_MS = 5000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+let listener = null;
+let connecting = null;
+let reconnecting = false;
+
+// change: { type: 'attendance' | 'session', session_id, class_id, records: [{ student_id, status }] }
+async function publishLiveChange(queryable, change) {
+  let payload = JSON.stringify(change);
+  if (Buffer.byteLength(payload) > LIVE_PAYLOAD_LIMIT) {
+    payload = JSON.stringify(Object.assign({}, change, { records: null }));
+  }
+  await queryable.query('SELECT pg_notify($1, $2)', [LIVE_CHANNEL, payload]);
+}
+
+async function startListening() {
+  const client = await db.connect();
+  client.on('notification', (msg) => {
+    if (msg.channel !== LIVE_CHANNEL) return;
+    let change;
+    try {
+      change = JSON.parse(msg.payload);
+    } catch (parseErr) {
+      return;
+    }
+    emitter.emit('change', change);
+  });
+  client.on('error', (err) => {
+    console.error('Live attendance listener error:', err.message);
+    dropListener(client);
+  });
+  try {
+    await client.query(`LISTEN ${LIVE_CHANNEL}`);
+  } catch (err) {
+    client.release(true);
+    throw err;
+  }
+  return client;
+}
+
+function ensureListening() {
+  if (listener || connecting) return;
+  connecting = startListening()
+    .then((client) => {
+      listener = client;
+      // Changes made while the connection was down were missed; subscribers should reload
+      if (reconnecting) {
+        reconnecting = false;
+        emitter.emit('resync');
+      }
+    })
+    .catch((err) => {
+      console.error('Live attendance listener error:', err.message);
+      scheduleReconnect();
+    })
+    .finally(() => {
+      connecting = null;
+    });
+}
+
+function dropListener(client) {
+  if (listener !== client) return;
+  listener = null;
+  client.release(true);
+  scheduleReconnect();
+}
+
+function scheduleReconnect() {
+  reconnecting = true;
+  setTimeout(ensureListening, LIVE_RECONNECT_MS);
+}
+
+// Subscribe to committed changes. onResync is called after the listener had to reconnect.
+// Returns a function that removes both handlers.
+function onLiveChange(onChange, onResync) {
+  ensureListening();
+  emitter.on('change', onChange);
+  if (onResync) emitter.on('resync', onResync);
+  return () => {
+    emitter.off('change', onChange);
+    if (onResync) emitter.off('resync', onResync);
+  };
+}
+
+module.exports = {
+  publishLiveChange,
+  onLiveChange,
+};
@@ -0,0 +1,263 @@
+const nodemailer = require('nodemailer');
+const db = require('./db');
+const { WEIGHTED_PRESENTS_SQL, EXCUSED_COUNT_SQL, attendancePercent, formatCount, toDateString } = require('./stats');
+
+// Guardian notifications. Messages are queued in the notifications table (which doubles
+// as the delivery log) and sent by processNotificationQueue through the active transport.
+// Failed sends are retried with exponential backoff until NOTIFICATION_MAX_ATTEMPTS.
+
+const NOTIFICATION_FROM = process.env.NOTIFICATION_FROM || 'Attendance Office <no-reply@localhost>';
+const NOTIFICATION_MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS || '5', 10);
+// First retry after this many minutes, doubling on every further failure
+const NOTIFICATION_RETRY_MINUTES = parseInt(process.env.NOTIFICATION_RETRY_MINUTES || '2', 10);
+const NOTIFICATION_BATCH_SIZE = 20;
+// Weekly summaries cover the previous Monday-Sunday and go out on this weekday (1 = Monday ... 7 = Sunday)
+const NOTIFICATION_WEEKLY_DAY = parseInt(process.env.NOTIFICATION_WEEKLY_DAY || '1', 10);
+
+// Transports turn { from, to, subject, text } into a delivered message. Pick one with
+// NOTIFICATION_TRANSPORT; by default smtp is used when SMTP_HOST is set, log otherwise.
+const transports = {
+  // Any SMTP server, including a local sink such as MailHog (SMTP_HOST=localhost SMTP_PORT=1025)
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT || '25', 10),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined,
+    });
+    return { send: (message) => transporter.sendMail(message) };
+  },
+  // Writes messages to the server log instead of sending them
+  log: () => ({
+    send: async (message) => {
+      console.log(`[notification] to ${message.to}: ${message.subject}`);
+    },
+  }),
+};
+
+let activeTransport = null;
+
+function registerTransport(name, factory) {
+  transports[name] = factory;
+  activeTransport = null;
+}
+
+function getTransport() {
+  if (!activeTransport) {
+    const name = process.env.NOTIFICATION_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'log');
+    if (!transports[name]) {
+      throw new Error(`Unknown notification transport: ${name}`);
+    }
+    activeTransport = transports[name]();
+  }
+  return activeTransport;
+}
+
+// Queue one message. (guardian_id, kind, reference) is unique, so queueing the same
+// notification twice (e.g. a session saved again) is a no-op.
+async function enqueueNotification(queryable, notification) {
+  const result = await queryable.query(
+    `INSERT INTO notifications (kind, reference, student_id, guardian_id, recipient, subject, body)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (guardian_id, kind, reference) DO NOTHING
+     RETURNING id`,
+    [
+      notification.kind,
+      notification.reference,
+      notification.student_id,
+      notification.guardian_id,
+      notification.recipient,
+      notification.subject,
+      notification.body,
+    ]
+  );
+  return result.rows.length > 0;
+}
+
+// Called inside the attendance transaction with the students just marked absent
+async function enqueueAbsenceNotifications(queryable, sessionId, studentIds) {
+  if (studentIds.length === 0) return 0;
+
+  const result = await queryable.query(
+    `SELECT g.id AS guardian_id, g.name AS guardian_name, g.email,
+            st.id AS student_id, st.name AS student_name,
+            sess.date, sess.topic, c.name AS class_name
+     FROM student_guardians g
+     JOIN students st ON st.id = g.student_id
+     JOIN sessions sess ON sess.id = $1
+     JOIN classes c ON c.id = sess.class_id
+     WHERE g.student_id = ANY($2::int[])
+       AND g.notify_absence = TRUE
+       AND g.email IS NOT NULL`,
+    [sessionId, studentIds]
+  );
+
+  let queued = 0;
+  for (const r of result.rows) {
+    const date = toDateString(r.date);
+    const added = await enqueueNotification(queryable, {
+      kind: 'absence',
+      reference: `session:${sessionId}`,
+      student_id: r.student_id,
+      guardian_id: r.guardian_id,
+      recipient: r.email,
+      subject: `${r.student_name} was marked absent on ${date}`,
+      body: [
+        `Dear ${r.guardian_name},`,
+        '',
+        `${r.student_name} was marked absent from ${r.class_name} on ${date}${r.topic ? ` (${r.topic})` : ''}.`,
+        'If you believe this is a mistake, please contact the school.',
+      ].join('\n'),
+    });
+    if (added) queued += 1;
+  }
+  return queued;
+}
+
+// Called when a student's mark for the session changes away from absent; absence emails
+// that have not gone out yet are dropped (and can be queued again if the mark changes back)
+async function cancelAbsenceNotifications(queryable, sessionId, studentId) {
+  const result = await queryable.query(
+    `DELETE FROM notifications
+     WHERE kind = 'absence' AND reference = $1 AND student_id = $2 AND status = 'pending'`,
+    [`session:${sessionId}`, studentId]
+  );
+  return result.rowCount;
+}
+
+// Queue a summary of the week starting on weekStart (a Monday, YYYY-MM-DD) for every
+// guardian who opted in. Students with nothing recorded that week are skipped.
+async function enqueueWeeklySummaries(weekStart) {
+  const result = await db.query(
+    `SELECT g.id AS guardian_id, g.name AS guardian_name, g.email,
+            st.id AS student_id, st.name AS student_name,
+            COUNT(CASE WHEN ast.counts_in_total THEN 1 END) AS total,
+            ${WEIGHTED_PRESENTS_SQL} AS presents,
+            COUNT(CASE WHEN ast.counts_in_total AND ast.weight = 0 THEN 1 END) AS absences,
+            ${EXCUSED_COUNT_SQL} AS excused
+     FROM student_guardians g
+     JOIN students st ON st.id = g.student_id
+     LEFT JOIN (attendance a
+                JOIN sessions sess ON sess.id = a.session_id
+                                  AND sess.date BETWEEN $1::date AND $1::date + 6)
+            ON a.student_id = st.id
+     LEFT JOIN attendance_statuses ast ON ast.code = a.status
+     WHERE g.notify_weekly = TRUE
+       AND g.email IS NOT NULL
+     GROUP BY g.id, g.name, g.email, st.id, st.name`,
+    [weekStart]
+  );
+
+  let queued = 0;
+  for (const r of result.rows) {
+    if (Number(r.total) + Number(r.excused) === 0) continue;
+    const added = await enqueueNotification(db, {
+      kind: 'weekly_summary',
+      reference: `week:${weekStart}`,
+      student_id: r.student_id,
+      guardian_id: r.guardian_id,
+      recipient: r.email,
+      subject: `Weekly attendance for ${r.student_name} (week of ${weekStart})`,
+      body: [
+        `Dear ${r.guardian_name},`,
+        '',
+        `Attendance for ${r.student_name} in the week of ${weekStart}:`,
+        `  Attended: ${formatCount(r.presents)} of ${formatCount(r.total)} sessions (${attendancePercent(r.presents, r.total)}%)`,
+        `  Absences: ${r.absences}`,
+        `  Excused: ${r.excused}`,
+      ].join('\n'),
+    });
+    if (added) queued += 1;
+  }
+  return queued;
+}
+
+// Monday of the week before the given date
+function previousWeekStart(now = new Date()) {
+  const date = new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() || 7) - 1) - 7);
+  return date.toISOString().slice(0, 10);
+}
+
+// Claimed messages are pushed this far into the future so nobody else picks them up while
+// they are being sent
+const NOTIFICATION_CLAIM_MINUTES = 10;
+
+// Claim a batch of due messages in a short transaction. Rows are locked with SKIP LOCKED
+// so several server instances can work the queue without sending anything twice.
+async function claimDueNotifications() {
+  const result = await db.query(
+    `WITH due AS (
+       SELECT id FROM notifications
+       WHERE status = 'pending' AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at, id
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     UPDATE notifications n
+     SET next_attempt_at = NOW() + ($2::int * INTERVAL '1 minute')
+     FROM due
+     WHERE n.id = due.id
+     RETURNING n.*`,
+    [NOTIFICATION_BATCH_SIZE, NOTIFICATION_CLAIM_MINUTES]
+  );
+  return result.rows.sort((x, y) => x.id - y.id);
+}
+
+// Send due messages. Sending happens outside any transaction and each result is recorded
+// with its own update, so a message that went out is never rolled back to pending.
+async function processNotificationQueue() {
+  const transport = getTransport();
+  const summary = { sent: 0, retrying: 0, failed: 0 };
+  const due = await claimDueNotifications();
+
+  for (const n of due) {
+    const attempts = n.attempts + 1;
+    let sendError = null;
+    try {
+      await transport.send({ from: NOTIFICATION_FROM, to: n.recipient, subject: n.subject, text: n.body });
+    } catch (sendErr) {
+      sendError = sendErr;
+    }
+
+    if (!sendError) {
+      await db.query(
+        `UPDATE notifications SET status = 'sent', attempts = $1, sent_at = NOW(), last_error = NULL WHERE id = $2`,
+        [attempts, n.id]
+      );
+      summary.sent += 1;
+      continue;
+    }
+
+    const giveUp = attempts >= NOTIFICATION_MAX_ATTEMPTS;
+    const delayMinutes = NOTIFICATION_RETRY_MINUTES * Math.pow(2, attempts - 1);
+    await db.query(
+      `UPDATE notifications
+       SET status = $1, attempts = $2, last_error = $3,
+           next_attempt_at = NOW() + ($4::int * INTERVAL '1 minute')
+       WHERE id = $5`,
+      [giveUp ? 'failed' : 'pending', attempts, String(sendError.message || sendError).slice(0, 1000), delayMinutes, n.id]
+    );
+    summary[giveUp ? 'failed' : 'retrying'] += 1;
+  }
+
+  return summary;
+}
+
+// Periodic job: queue last week's summaries on the configured weekday, then work the queue
+async function runNotificationJobs(now = new Date()) {
+  if ((now.getDay() || 7) === NOTIFICATION_WEEKLY_DAY) {
+    await enqueueWeeklySummaries(previousWeekStart(now));
+  }
+  return processNotificationQueue();
+}
+
+module.exports = {
+  registerTransport,
+  enqueueAbsenceNotifications,
+  cancelAbsenceNotifications,
+  enqueueWeeklySummaries,
+  previousWeekStart,
+  processNotificationQueue,
+  runNotificationJobs,
+};
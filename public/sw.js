@@ -0,0 +1,50 @@
+// Service worker for offline attendance marking. Keeps a copy of the page shell (HTML, CSS,
+// scripts) so attendance.html opens without a connection. API responses are never cached
+// here; the page keeps its own copy of the data it needs in localStorage.
+const CACHE_NAME = 'attendance-shell-v1';
+const SHELL_FILES = ['attendance.html', 'css/style.css', 'js/auth.js'];
+
+self.addEventListener('install', function (event) {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(function (cache) {
+      return cache.addAll(SHELL_FILES);
+    })
+  );
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', function (event) {
+  event.waitUntil(
+    caches.keys().then(function (keys) {
+      return Promise.all(keys.filter(function (key) { return key !== CACHE_NAME; }).map(function (key) {
+        return caches.delete(key);
+      }));
+    }).then(function () {
+      return self.clients.claim();
+    })
+  );
+});
+
+// Network first so updates show up straight away; the cached copy is only used offline
+self.addEventListener('fetch', function (event) {
+  const url = new URL(event.request.url);
+  if (event.request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+    return;
+  }
+
+  event.respondWith(
+    fetch(event.request)
+      .then(function (response) {
+        if (response.ok) {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then(function (cache) {
+            cache.put(event.request, copy);
+          });
+        }
+        return response;
+      })
+      .catch(function () {
+        return caches.match(event.request, { ignoreSearch: true });
+      })
+  );
+});
@@ -21,17 +21,100 @@ CREATE TABLE IF NOT EXISTS sessions (
   class_id INTEGER NOT NULL,
   date DATE NOT NULL,
   topic TEXT,
-  FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE
+  finalized_at TIMESTAMP,
+  finalized_by INTEGER,
+  timetable_slot_id INTEGER,
+  subject_id INTEGER,
+  -- Optional period number and/or time range; sessions of a class may not overlap on a day
+  period INTEGER,
+  start_time TIME,
+  end_time TIME,
+  -- Set by the year-end rollover; archived sessions are read-only for everyone
+  archived_at TIMESTAMP,
+  archived_by INTEGER,
+  FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE,
+  CONSTRAINT sessions_times_check CHECK (start_time < end_time)
+);
+
+-- Configurable attendance statuses.
+-- weight: how much of a session the status counts as attended (late = 1.0, half day = 0.5).
+-- counts_in_total: FALSE for statuses (e.g. excused leave) left out of the percentage denominator.
+CREATE TABLE IF NOT EXISTS attendance_statuses (
+  code VARCHAR(20) PRIMARY KEY,
+  label VARCHAR(100) NOT NULL,
+  weight NUMERIC(3,2) NOT NULL DEFAULT 0 CHECK (weight >= 0 AND weight <= 1),
+  counts_in_total BOOLEAN NOT NULL DEFAULT TRUE,
+  sort_order INTEGER NOT NULL DEFAULT 0
 );
 
 CREATE TABLE IF NOT EXISTS attendance (
   id SERIAL PRIMARY KEY,
   session_id INTEGER NOT NULL,
   student_id INTEGER NOT NULL,
-  status VARCHAR(10) NOT NULL CHECK (status IN ('present','absent')),
+  status VARCHAR(20) NOT NULL,
   marked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  -- Bumped on every status change; clients send the version they saw to detect conflicting edits
+  version INTEGER NOT NULL DEFAULT 1,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   UNIQUE(session_id, student_id),
   FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+  FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+  FOREIGN KEY (status) REFERENCES attendance_statuses(code)
+);
+
+-- Append-only audit trail of attendance marks. Rows are never updated or deleted (see rules below),
+-- and there are no cascading foreign keys so history survives deletion of the session or student.
+CREATE TABLE IF NOT EXISTS attendance_history (
+  id SERIAL PRIMARY KEY,
+  attendance_id INTEGER,
+  session_id INTEGER NOT NULL,
+  student_id INTEGER NOT NULL,
+  old_status VARCHAR(20),
+  new_status VARCHAR(20) NOT NULL,
+  changed_by INTEGER,
+  changed_by_name VARCHAR(255),
+  reason TEXT,
+  changed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  -- When the mark was made on the client, for marks queued offline and synced later
+  client_marked_at TIMESTAMP
+);
+
+CREATE OR REPLACE RULE attendance_history_no_update AS ON UPDATE TO attendance_history DO INSTEAD NOTHING;
+CREATE OR REPLACE RULE attendance_history_no_delete AS ON DELETE TO attendance_history DO INSTEAD NOTHING;
+
+-- Correction requests for locked sessions. Raised by teachers or students, decided by admins.
+CREATE TABLE IF NOT EXISTS attendance_corrections (
+  id SERIAL PRIMARY KEY,
+  session_id INTEGER NOT NULL,
+  student_id INTEGER NOT NULL,
+  current_status VARCHAR(20),
+  requested_status VARCHAR(20) NOT NULL,
+  reason TEXT NOT NULL,
+  requested_by INTEGER,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending','approved','rejected')),
+  reviewed_by INTEGER,
+  review_note TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  reviewed_at TIMESTAMP,
+  FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+  FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+  FOREIGN KEY (requested_status) REFERENCES attendance_statuses(code)
+);
+
+-- Student leave applications. Approved leave pre-marks sessions in the range with the 'leave' status.
+CREATE TABLE IF NOT EXISTS leave_requests (
+  id SERIAL PRIMARY KEY,
+  student_id INTEGER NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  reason TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending','approved','rejected','cancelled')),
+  requested_by INTEGER,
+  reviewed_by INTEGER,
+  review_note TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  reviewed_at TIMESTAMP,
+  CHECK (start_date <= end_date),
   FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
 );
 
@@ -48,10 +131,298 @@ CREATE TABLE IF NOT EXISTS users (
   phone VARCHAR(50),
   subject VARCHAR(255),
   experience TEXT,
+  -- Set for one-time passwords handed out by an admin; login requires choosing a new one
+  must_change_password BOOLEAN NOT NULL DEFAULT FALSE,
+  password_changed_at TIMESTAMP,
   FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE SET NULL,
   FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE SET NULL
 );
 
+-- Subjects (courses). min_percentage is the attendance a student needs in the subject;
+-- per-subject report rows are flagged when they fall below it.
+CREATE TABLE IF NOT EXISTS subjects (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  code VARCHAR(50) UNIQUE,
+  min_percentage NUMERIC(5,2) CHECK (min_percentage >= 0 AND min_percentage <= 100),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Subjects taught in each class, with the teacher who teaches the subject there
+CREATE TABLE IF NOT EXISTS class_subjects (
+  class_id INTEGER NOT NULL,
+  subject_id INTEGER NOT NULL,
+  teacher_id INTEGER,
+  PRIMARY KEY (class_id, subject_id),
+  FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE,
+  FOREIGN KEY (subject_id) REFERENCES subjects(id) ON DELETE CASCADE,
+  FOREIGN KEY (teacher_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Class membership over time. students.class_id is the current class; each enrollment says
+-- which class a student belonged to from effective_from to effective_to (inclusive, NULL while
+-- current). Class reports only count the sessions inside a student's enrollment.
+CREATE TABLE IF NOT EXISTS enrollments (
+  id SERIAL PRIMARY KEY,
+  student_id INTEGER NOT NULL,
+  class_id INTEGER NOT NULL,
+  effective_from DATE NOT NULL,
+  effective_to DATE,
+  reason VARCHAR(20) NOT NULL DEFAULT 'enrolled' CHECK (reason IN ('enrolled', 'transfer', 'promotion')),
+  created_by INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+  FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+  CHECK (effective_to IS NULL OR effective_to >= effective_from)
+);
+
+-- Weekly timetable per class. weekday is ISO (1 = Monday ... 7 = Sunday).
+-- Sessions are generated from these slots for a date range (see /api/timetable/generate).
+CREATE TABLE IF NOT EXISTS timetable_slots (
+  id SERIAL PRIMARY KEY,
+  class_id INTEGER NOT NULL,
+  weekday SMALLINT NOT NULL CHECK (weekday BETWEEN 1 AND 7),
+  period SMALLINT,
+  start_time TIME,
+  end_time TIME,
+  subject VARCHAR(255) NOT NULL,
+  subject_id INTEGER,
+  teacher_id INTEGER,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE,
+  FOREIGN KEY (teacher_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Academic calendar: terms / semesters used to scope reports
+CREATE TABLE IF NOT EXISTS academic_terms (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (start_date <= end_date)
+);
+
+-- Special days in the calendar. Holidays and non-instructional days block session creation
+-- (the timetable generator skips them); exam days only produce a warning.
+CREATE TABLE IF NOT EXISTS calendar_days (
+  id SERIAL PRIMARY KEY,
+  date DATE UNIQUE NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  day_type VARCHAR(20) NOT NULL DEFAULT 'holiday' CHECK (day_type IN ('holiday','exam','non_instructional')),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Teacher to class assignments (many-to-many). users.class_id is kept as the teacher's primary class.
+CREATE TABLE IF NOT EXISTS teacher_classes (
+  teacher_id INTEGER NOT NULL,
+  class_id INTEGER NOT NULL,
+  assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (teacher_id, class_id),
+  FOREIGN KEY (teacher_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE
+);
+
+-- Login sessions. Only a SHA-256 hash of the token is stored, so a database dump cannot be replayed.
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  token_hash CHAR(64) UNIQUE NOT NULL,
+  user_agent TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Attendance policies defined by admins, per class (class_id) or school-wide (class_id NULL).
+-- rule_type 'min_percentage': threshold is the minimum weighted attendance percentage.
+-- rule_type 'consecutive_absences': threshold is the largest allowed run of absences.
+CREATE TABLE IF NOT EXISTS attendance_policies (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  class_id INTEGER,
+  rule_type VARCHAR(30) NOT NULL CHECK (rule_type IN ('min_percentage','consecutive_absences')),
+  threshold NUMERIC(5,2) NOT NULL,
+  period_start DATE,
+  period_end DATE,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Alerts raised by the attendance scan in alerts.js. At most one unresolved alert per
+-- student and type; resolved_at is set once the condition clears.
+CREATE TABLE IF NOT EXISTS attendance_alerts (
+  id SERIAL PRIMARY KEY,
+  student_id INTEGER NOT NULL,
+  class_id INTEGER,
+  alert_type VARCHAR(30) NOT NULL CHECK (alert_type IN ('consecutive_absences','low_percentage','pattern_change')),
+  value NUMERIC(6,2) NOT NULL,
+  threshold NUMERIC(6,2) NOT NULL,
+  details TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  acknowledged_at TIMESTAMP,
+  acknowledged_by INTEGER,
+  acknowledgement_note TEXT,
+  resolved_at TIMESTAMP,
+  FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+  FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE SET NULL,
+  FOREIGN KEY (acknowledged_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Guardian contacts for students; the notify_* flags opt in to emails from notifications.js
+CREATE TABLE IF NOT EXISTS student_guardians (
+  id SERIAL PRIMARY KEY,
+  student_id INTEGER NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  relationship VARCHAR(50),
+  email VARCHAR(255),
+  phone VARCHAR(50),
+  notify_absence BOOLEAN NOT NULL DEFAULT TRUE,
+  notify_weekly BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
+);
+
+-- Outgoing guardian emails: the send queue and the delivery log in one table.
+-- reference identifies what a message is about (session:12, week:2026-09-07) to avoid duplicates.
+CREATE TABLE IF NOT EXISTS notifications (
+  id SERIAL PRIMARY KEY,
+  kind VARCHAR(30) NOT NULL CHECK (kind IN ('absence','weekly_summary')),
+  reference VARCHAR(100) NOT NULL,
+  student_id INTEGER,
+  guardian_id INTEGER,
+  recipient VARCHAR(255) NOT NULL,
+  subject VARCHAR(255) NOT NULL,
+  body TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending','sent','failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  sent_at TIMESTAMP,
+  UNIQUE (guardian_id, kind, reference),
+  FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE SET NULL,
+  FOREIGN KEY (guardian_id) REFERENCES student_guardians(id) ON DELETE SET NULL
+);
+
+-- Outbound webhooks configured by admins (see webhooks.js)
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+  id SERIAL PRIMARY KEY,
+  url TEXT NOT NULL,
+  description TEXT,
+  secret VARCHAR(128) NOT NULL,
+  events TEXT[] NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- One row per event and endpoint: the delivery queue and each endpoint's delivery log
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id SERIAL PRIMARY KEY,
+  endpoint_id INTEGER NOT NULL,
+  event VARCHAR(50) NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending','delivered','failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  response_status INTEGER,
+  last_error TEXT,
+  next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  delivered_at TIMESTAMP,
+  FOREIGN KEY (endpoint_id) REFERENCES webhook_endpoints(id) ON DELETE CASCADE
+);
+
+-- Student self check-in. While a window is open the session shows a rotating code derived
+-- from the window secret; each student can check in once per window.
+CREATE TABLE IF NOT EXISTS checkin_windows (
+  id SERIAL PRIMARY KEY,
+  session_id INTEGER NOT NULL,
+  secret VARCHAR(64) NOT NULL,
+  code_ttl_seconds INTEGER NOT NULL DEFAULT 30 CHECK (code_ttl_seconds BETWEEN 10 AND 600),
+  opened_by INTEGER,
+  opened_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  closes_at TIMESTAMP NOT NULL,
+  closed_at TIMESTAMP,
+  closed_by INTEGER,
+  FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+  FOREIGN KEY (opened_by) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (closed_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS checkins (
+  id SERIAL PRIMARY KEY,
+  window_id INTEGER NOT NULL,
+  student_id INTEGER NOT NULL,
+  code_step BIGINT NOT NULL,
+  ip_address VARCHAR(64),
+  user_agent TEXT,
+  checked_in_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (window_id, student_id),
+  FOREIGN KEY (window_id) REFERENCES checkin_windows(id) ON DELETE CASCADE,
+  FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
+);
+
+-- Where self check-in is allowed from: an IP/CIDR allow-list and/or a latitude/longitude radius.
+-- Set per class or per session; a session's own constraints replace its class's.
+CREATE TABLE IF NOT EXISTS checkin_constraints (
+  id SERIAL PRIMARY KEY,
+  class_id INTEGER UNIQUE,
+  session_id INTEGER UNIQUE,
+  allowed_cidrs TEXT[],
+  latitude NUMERIC(9,6),
+  longitude NUMERIC(9,6),
+  radius_meters INTEGER CHECK (radius_meters > 0),
+  updated_by INTEGER,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK ((class_id IS NULL) <> (session_id IS NULL)),
+  CHECK ((latitude IS NULL AND longitude IS NULL AND radius_meters IS NULL)
+      OR (latitude IS NOT NULL AND longitude IS NOT NULL AND radius_meters IS NOT NULL)),
+  FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE,
+  FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+  FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Check-in attempts that were turned away, kept for teachers to review
+CREATE TABLE IF NOT EXISTS checkin_rejections (
+  id SERIAL PRIMARY KEY,
+  session_id INTEGER NOT NULL,
+  window_id INTEGER,
+  student_id INTEGER NOT NULL,
+  reason VARCHAR(30) NOT NULL,
+  details TEXT,
+  ip_address VARCHAR(64),
+  latitude NUMERIC(9,6),
+  longitude NUMERIC(9,6),
+  user_agent TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+  FOREIGN KEY (window_id) REFERENCES checkin_windows(id) ON DELETE SET NULL,
+  FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
+);
+
+-- Idempotency keys for attendance saves. A retried save (e.g. an offline queue syncing again
+-- after a dropped connection) gets the stored response instead of being applied twice.
+CREATE TABLE IF NOT EXISTS attendance_sync_keys (
+  user_id INTEGER NOT NULL,
+  idempotency_key VARCHAR(100) NOT NULL,
+  session_id INTEGER NOT NULL,
+  status_code INTEGER,
+  response JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, idempotency_key),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
 -- Seed demo data (safe to run multiple times using ON CONFLICT)
 -- Note: Using explicit IDs requires setting the sequence to the correct value
 INSERT INTO classes (id, name, description) VALUES (1, 'Class 12', 'Demo class for examples')
@@ -62,6 +433,16 @@ INSERT INTO students (id, name, roll_number, class_id) VALUES (1, 'aditya', '123
 ON CONFLICT (id) DO NOTHING;
 SELECT setval('students_id_seq', COALESCE((SELECT MAX(id) FROM students), 1), true);
 
+-- Default attendance statuses (admins can adjust weights or add more via the API)
+INSERT INTO attendance_statuses (code, label, weight, counts_in_total, sort_order) VALUES
+  ('present', 'Present', 1.00, TRUE, 1),
+  ('absent', 'Absent', 0.00, TRUE, 2),
+  ('late', 'Late', 1.00, TRUE, 3),
+  ('half_day', 'Half Day', 0.50, TRUE, 4),
+  ('excused', 'Excused (medical / sports leave)', 0.00, FALSE, 5),
+  ('leave', 'On Leave (approved)', 0.00, FALSE, 6)
+ON CONFLICT (code) DO NOTHING;
+
 -- Admin / Teacher / Student demo accounts
 INSERT INTO users (id, username, password, role, display_name) VALUES (1, 'admin', 'admin123', 'admin', 'System Admin')
 ON CONFLICT (id) DO NOTHING;
@@ -75,6 +456,11 @@ INSERT INTO users (id, username, password, role, display_name, class_id, student
 ON CONFLICT (id) DO NOTHING;
 SELECT setval('users_id_seq', COALESCE((SELECT MAX(id) FROM users), 1), true);
 
+-- Every teacher's primary class is also an assignment
+INSERT INTO teacher_classes (teacher_id, class_id)
+SELECT id, class_id FROM users WHERE role = 'teacher' AND class_id IS NOT NULL
+ON CONFLICT (teacher_id, class_id) DO NOTHING;
+
 -- Performance indexes
 CREATE INDEX IF NOT EXISTS idx_attendance_session ON attendance(session_id);
 CREATE INDEX IF NOT EXISTS idx_attendance_student ON attendance(student_id);
@@ -84,3 +470,26 @@ CREATE INDEX IF NOT EXISTS idx_sessions_class_date ON sessions(class_id, date);
 CREATE INDEX IF NOT EXISTS idx_users_student ON users(student_id);
 CREATE INDEX IF NOT EXISTS idx_users_class ON users(class_id);
 CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
+CREATE INDEX IF NOT EXISTS idx_policies_class ON attendance_policies(class_id);
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON auth_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_expires ON auth_sessions(expires_at);
+CREATE INDEX IF NOT EXISTS idx_teacher_classes_class ON teacher_classes(class_id);
+CREATE INDEX IF NOT EXISTS idx_attendance_history_session ON attendance_history(session_id);
+CREATE INDEX IF NOT EXISTS idx_attendance_history_attendance ON attendance_history(attendance_id);
+CREATE INDEX IF NOT EXISTS idx_corrections_session ON attendance_corrections(session_id);
+CREATE INDEX IF NOT EXISTS idx_corrections_status ON attendance_corrections(status);
+CREATE INDEX IF NOT EXISTS idx_leave_requests_student ON leave_requests(student_id, start_date, end_date);
+CREATE INDEX IF NOT EXISTS idx_timetable_class ON timetable_slots(class_id, weekday);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_alerts_unresolved ON attendance_alerts(student_id, alert_type) WHERE resolved_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_alerts_class ON attendance_alerts(class_id);
+CREATE INDEX IF NOT EXISTS idx_guardians_student ON student_guardians(student_id);
+CREATE INDEX IF NOT EXISTS idx_notifications_due ON notifications(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint ON webhook_deliveries(endpoint_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_checkin_windows_open ON checkin_windows(session_id) WHERE closed_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_checkin_rejections_session ON checkin_rejections(session_id, student_id);
+CREATE INDEX IF NOT EXISTS idx_attendance_sync_keys_created ON attendance_sync_keys(created_at);
+CREATE INDEX IF NOT EXISTS idx_sessions_subject ON sessions(subject_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_enrollments_current ON enrollments(student_id) WHERE effective_to IS NULL;
+CREATE INDEX IF NOT EXISTS idx_enrollments_class ON enrollments(class_id, effective_from);
+CREATE INDEX IF NOT EXISTS idx_class_subjects_teacher ON class_subjects(teacher_id);
@@ -3,33 +3,124 @@ const bodyParser = require('body-parser');
 const cors = require('cors');
 const path = require('path');
 const crypto = require('crypto');
+const net = require('net');
 const PDFDocument = require('pdfkit');
 const bcrypt = require('bcrypt');
 const rateLimit = require('express-rate-limit');
 const db = require('./db');
+const {
+  WEIGHTED_PRESENTS_SQL,
+  EXCUSED_COUNT_SQL,
+  DENOMINATOR_LABELS,
+  resolveDenominatorMode,
+  attendancePercent,
+  belowMinimum,
+  formatCount,
+  toDateString,
+  getClassAttendanceStats,
+} = require('./stats');
+const { ALERT_TYPES, runAlertScan } = require('./alerts');
+const {
+  enqueueAbsenceNotifications,
+  cancelAbsenceNotifications,
+  enqueueWeeklySummaries,
+  previousWeekStart,
+  processNotificationQueue,
+  runNotificationJobs,
+} = require('./notifications');
+const {
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  queueWebhookEvent,
+  processWebhookQueue,
+  kickWebhookQueue,
+} = require('./webhooks');
+const { publishLiveChange, onLiveChange } = require('./live');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// In-memory session store: token -> { user, expiresAt }
-const sessions = new Map();
+// Login sessions are persisted in the auth_sessions table so they survive restarts
+// and can be shared between several server instances.
 const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS || '8', 10);
 const SESSION_TTL_MS = SESSION_TTL_HOURS * 60 * 60 * 1000;
+// last_seen_at is only written when it is older than this, to avoid a write per request
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
 
-// Clean up expired sessions periodically
-setInterval(() => {
-  const now = Date.now();
-  let cleaned = 0;
-  for (const [token, session] of sessions.entries()) {
-    if (session.expiresAt && session.expiresAt <= now) {
-      sessions.delete(token);
-      cleaned++;
+// Idempotency keys of attendance saves are kept this long, which bounds how late a client
+// may retry a save and still have it recognised as a repeat
+const ATTENDANCE_SYNC_KEY_DAYS = parseInt(process.env.ATTENDANCE_SYNC_KEY_DAYS || '7', 10) || 7;
+
+// Job intervals in minutes (0 turns the job off)
+const ALERT_SCAN_INTERVAL_MINUTES = parseInt(process.env.ALERT_SCAN_INTERVAL_MINUTES || '60', 10) || 0;
+const NOTIFICATION_INTERVAL_MINUTES = parseInt(process.env.NOTIFICATION_INTERVAL_MINUTES || '5', 10) || 0;
+
+// Periodic jobs, started together with the server (not when the unit tests require this file)
+function startBackgroundJobs() {
+  // Clean up expired sessions periodically
+  setInterval(async () => {
+    try {
+      const result = await db.query('DELETE FROM auth_sessions WHERE expires_at <= NOW()');
+      if (result.rowCount > 0) {
+        console.log(`Cleaned up ${result.rowCount} expired session(s)`);
+      }
+    } catch (err) {
+      console.error('Session cleanup error:', err.message);
+    }
+    try {
+      await db.query(
+        'DELETE FROM attendance_sync_keys WHERE created_at < NOW() - ($1::int * INTERVAL \'1 day\')',
+        [ATTENDANCE_SYNC_KEY_DAYS]
+      );
+    } catch (err) {
+      console.error('Idempotency key cleanup error:', err.message);
     }
+  }, 1000 * 60 * 60); // Run every hour
+
+  // Scan for attendance alerts (consecutive absences, low percentage, pattern changes)
+  if (ALERT_SCAN_INTERVAL_MINUTES > 0) {
+    setInterval(async () => {
+      try {
+        const result = await runAlertScan();
+        if (result.raised.length > 0 || result.resolved > 0) {
+          console.log(`Alert scan: ${result.raised.length} raised, ${result.resolved} resolved`);
+        }
+      } catch (err) {
+        console.error('Alert scan error:', err.message);
+      }
+    }, ALERT_SCAN_INTERVAL_MINUTES * 60 * 1000);
   }
-  if (cleaned > 0) {
-    console.log(`Cleaned up ${cleaned} expired session(s)`);
+
+  // Send queued guardian notifications (and queue weekly summaries on their day)
+  if (NOTIFICATION_INTERVAL_MINUTES > 0) {
+    setInterval(async () => {
+      try {
+        const result = await runNotificationJobs();
+        if (result.sent > 0 || result.failed > 0) {
+          console.log(`Notifications: ${result.sent} sent, ${result.retrying} retrying, ${result.failed} failed`);
+        }
+      } catch (err) {
+        console.error('Notification job error:', err.message);
+      }
+    }, NOTIFICATION_INTERVAL_MINUTES * 60 * 1000);
   }
-}, 1000 * 60 * 60); // Run every hour
+
+  // Retry webhook deliveries that are due (new events are also sent as soon as they are queued)
+  setInterval(async () => {
+    try {
+      const result = await processWebhookQueue();
+      if (result.failed > 0) {
+        console.log(`Webhooks: ${result.failed} delivery(ies) failed permanently`);
+      }
+    } catch (err) {
+      console.error('Webhook delivery error:', err.message);
+    }
+  }, 1000 * 60); // Run every minute
+}
+
+// Attendance for a session locks this many hours after the session date (0 disables
+// the time lock). Admins can also finalize a session to lock it straight away.
+const ATTENDANCE_LOCK_HOURS = parseInt(process.env.ATTENDANCE_LOCK_HOURS || '48', 10) || 0;
 
 // Rate limiting (login route excluded - correct credentials should never be blocked)
 // Note: loginLimiter removed to ensure users with correct credentials can always log in
@@ -43,9 +134,15 @@ const apiLimiter = rateLimit({
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : 'http://localhost:3000',
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'x-auth-token']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'x-auth-token', 'Idempotency-Key']
 }));
+// Behind a reverse proxy set TRUST_PROXY (e.g. 1) so req.ip is the client address, which
+// IP-restricted check-in and rate limiting rely on
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY, 10) : process.env.TRUST_PROXY);
+}
+
 app.use(bodyParser.json());
 // Apply rate limiting to all API routes except static files
 app.use('/api', apiLimiter);
@@ -67,42 +164,108 @@ async function handleDbError(err, res, context = 'Database operation') {
   });
 }
 
-function getUserFromRequest(req) {
-  const token = req.headers['x-auth-token'] || req.query.token;
-  if (!token) return null;
-  const session = sessions.get(token);
-  if (!session) return null;
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
 
-  if (session.expiresAt && session.expiresAt <= Date.now()) {
-    // Expired session: clean it up and treat as unauthenticated
-    sessions.delete(token);
-    return null;
+// --- Passwords ---
+// Passwords people choose themselves must be at least this long
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH || '8', 10) || 8;
+
+// Handed out by admins (new student accounts, resets) and shown once; the account is flagged
+// must_change_password so the first login has to replace it
+function generateOneTimePassword() {
+  return crypto.randomBytes(6).toString('base64url');
+}
+
+function validateNewPassword(password, currentPassword) {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    throw new Error(`Invalid new_password: must be at least ${PASSWORD_MIN_LENGTH} characters`);
+  }
+  if (currentPassword !== undefined && password === currentPassword) {
+    throw new Error('Invalid new_password: must differ from the current password');
+  }
+  return password;
+}
+
+// Seed rows may still hold plain text passwords; login re-hashes them on first use
+async function passwordMatches(stored, password) {
+  if (stored.startsWith('$2b$') || stored.startsWith('$2a$')) {
+    return bcrypt.compare(password, stored);
   }
+  return stored === password;
+}
 
-  return session.user || null;
+async function setPassword(queryable, userId, password, mustChange) {
+  const hashed = await bcrypt.hash(password, 10);
+  await queryable.query(
+    'UPDATE users SET password = $1, must_change_password = $2, password_changed_at = NOW() WHERE id = $3',
+    [hashed, mustChange, userId]
+  );
 }
 
-function createSession(userRow) {
-  const safeUser = {
+function toSafeUser(userRow) {
+  return {
     id: userRow.id,
     username: userRow.username,
     role: userRow.role,
     class_id: userRow.class_id || null,
     student_id: userRow.student_id || null,
   };
+}
+
+// Resolve the request's token to { user, sessionId }, or null when it is missing,
+// unknown or expired. The user is re-read on every request so role changes apply at once.
+async function getUserFromRequest(req) {
+  const token = req.headers['x-auth-token'] || req.query.token;
+  if (!token) return null;
+
+  const { sql, params } = convertPlaceholders(
+    `SELECT s.id AS session_id, s.last_seen_at,
+            u.id, u.username, u.role, u.class_id, u.student_id
+     FROM auth_sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.token_hash = ? AND s.expires_at > NOW()`,
+    [hashToken(token)]
+  );
+  const result = await db.query(sql, params);
+  const row = result.rows[0];
+  if (!row) return null;
+
+  if (Date.now() - new Date(row.last_seen_at).getTime() > SESSION_TOUCH_INTERVAL_MS) {
+    await db.query('UPDATE auth_sessions SET last_seen_at = NOW() WHERE id = $1', [row.session_id]);
+  }
 
+  return { user: toSafeUser(row), sessionId: row.session_id };
+}
+
+async function createSession(userRow, req) {
+  const safeUser = toSafeUser(userRow);
   const token = crypto.randomBytes(32).toString('hex');
   const expiresAt = Date.now() + SESSION_TTL_MS;
-  sessions.set(token, { user: safeUser, expiresAt });
+
+  // Expiry is computed by the database so it is compared with NOW() in the same clock and time zone
+  const { sql, params } = convertPlaceholders(
+    `INSERT INTO auth_sessions (user_id, token_hash, user_agent, expires_at)
+     VALUES (?, ?, ?, NOW() + (?::int * INTERVAL '1 second'))`,
+    [safeUser.id, hashToken(token), req.headers['user-agent'] || null, Math.round(SESSION_TTL_MS / 1000)]
+  );
+  await db.query(sql, params);
   return { token, user: safeUser, expiresAt };
 }
 
-function requireAuth(req, res, next) {
-  const user = getUserFromRequest(req);
-  if (!user) {
+async function requireAuth(req, res, next) {
+  let auth;
+  try {
+    auth = await getUserFromRequest(req);
+  } catch (err) {
+    return handleDbError(err, res, 'Authenticate request');
+  }
+  if (!auth) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
-  req.user = user;
+  req.user = auth.user;
+  req.sessionId = auth.sessionId;
   return next();
 }
 
@@ -118,6 +281,51 @@ function requireRole(...roles) {
   };
 }
 
+// --- Class access ---
+// Teachers work only with the classes assigned to them in teacher_classes.
+// Admins can access every class; students only their own.
+const TEACHER_CLASS_IDS_SQL = 'SELECT class_id FROM teacher_classes WHERE teacher_id = ';
+const CLASS_FORBIDDEN_MESSAGE = 'Forbidden: You are not assigned to this class';
+
+async function canAccessClass(user, classId, queryable = db) {
+  if (user.role === 'admin') return true;
+  if (user.role === 'student') {
+    return !!user.class_id && String(user.class_id) === String(classId);
+  }
+  if (user.role === 'teacher') {
+    const result = await queryable.query(
+      'SELECT 1 FROM teacher_classes WHERE teacher_id = $1 AND class_id = $2',
+      [user.id, classId]
+    );
+    return result.rows.length > 0;
+  }
+  return false;
+}
+
+async function canAccessStudent(user, studentId, queryable = db) {
+  if (user.role === 'admin') return true;
+  if (user.role === 'student') {
+    return !!user.student_id && String(user.student_id) === String(studentId);
+  }
+  if (user.role === 'teacher') {
+    const result = await queryable.query(
+      `SELECT 1 FROM students st
+       JOIN teacher_classes tc ON tc.class_id = st.class_id
+       WHERE st.id = $1 AND tc.teacher_id = $2`,
+      [studentId, user.id]
+    );
+    return result.rows.length > 0;
+  }
+  return false;
+}
+
+async function assignTeacherToClass(teacherId, classId, queryable = db) {
+  await queryable.query(
+    'INSERT INTO teacher_classes (teacher_id, class_id) VALUES ($1, $2) ON CONFLICT (teacher_id, class_id) DO NOTHING',
+    [teacherId, classId]
+  );
+}
+
 function validateInteger(value, fieldName) {
   const num = parseInt(value, 10);
   if (isNaN(num) || num <= 0) {
@@ -138,656 +346,6182 @@ function validateDate(dateString) {
   return dateString;
 }
 
-// --- Export helpers ---
-function csvEscape(value) {
-  if (value === null || value === undefined) return '';
-  const str = String(value);
-  if (/[",\n]/.test(str)) {
-    return '"' + str.replace(/"/g, '""') + '"';
+// ISO 8601 date-time from a client (e.g. 2024-03-01T09:15:00Z); returned as a Date
+function validateTimestamp(value, fieldName) {
+  const date = new Date(String(value));
+  if (!/^\d{4}-\d{2}-\d{2}T/.test(String(value)) || isNaN(date.getTime())) {
+    throw new Error(`Invalid ${fieldName}: use an ISO 8601 date and time`);
   }
-  return str;
+  return date;
 }
 
-function sendCsv(res, filename, headerColumns, rows) {
-  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-  const headerLine = headerColumns.join(',') + '\n';
-  const bodyLines = rows.map((cols) => cols.map(csvEscape).join(',')).join('\n');
-  res.send(headerLine + bodyLines);
+// PUT must send every required field, PATCH may send any subset. Either way the body
+// is merged over the stored row so the result can be validated like the POST route.
+function mergeForUpdate(req, existing, requiredFields) {
+  if (req.method === 'PUT') {
+    const missing = requiredFields.filter((f) => req.body[f] === undefined || req.body[f] === null || req.body[f] === '');
+    if (missing.length > 0) {
+      throw new Error(`${missing.join(', ')} ${missing.length > 1 ? 'are' : 'is'} required`);
+    }
+  }
+  const merged = Object.assign({}, existing);
+  Object.keys(req.body || {}).forEach((key) => {
+    if (Object.prototype.hasOwnProperty.call(existing, key)) {
+      merged[key] = req.body[key];
+    }
+  });
+  return merged;
 }
 
-function sendStudentReportCsv(res, rows, label = 'student-report') {
-  const filename = `${label}.csv`;
-  const csvRows = rows.map((r) => [r.date, r.class_name, r.topic || '', r.status]);
-  sendCsv(res, filename, ['Date', 'Class', 'Topic', 'Status'], csvRows);
-}
+// Deletes cascade to attendance (ON DELETE CASCADE). Unless the request carries
+// ?confirm=true, refuse with 409 and report how many attendance records would go.
+async function confirmAttendanceDelete(req, res, countSql, countParams) {
+  if (String(req.query.confirm) === 'true') return true;
 
-function sendClassSummaryCsv(res, rows, label = 'class-summary') {
-  const filename = `${label}.csv`;
-  const csvRows = rows.map((r) => {
-    const total = r.total || 0;
-    const presents = r.presents || 0;
-    const percent = total > 0 ? ((presents / total) * 100).toFixed(1) : '0.0';
-    return [r.student_name, r.roll_number || '', presents, total, percent];
+  const result = await db.query(countSql, countParams);
+  const count = parseInt(result.rows[0].count, 10) || 0;
+  if (count === 0) return true;
+
+  res.status(409).json({
+    error: `This will also delete ${count} attendance record(s). Repeat the request with ?confirm=true to proceed.`,
+    attendance_records: count,
   });
-  sendCsv(res, filename, ['Student', 'Roll', 'Presents', 'Total', 'Percent'], csvRows);
+  return false;
 }
 
-function sendStudentReportPdf(res, rows, options = {}) {
-  const filename = options.filename || 'student-report.pdf';
-  const title = options.title || 'Student Attendance Report';
+async function classExists(classId, queryable = db) {
+  const result = await queryable.query('SELECT id FROM classes WHERE id = $1', [classId]);
+  return result.rows.length > 0;
+}
 
-  res.setHeader('Content-Type', 'application/pdf');
-  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+// --- Subjects ---
+// Subjects are linked to the classes that take them (class_subjects, with the teacher who
+// teaches the subject there). Sessions and timetable slots can be tagged with one of their
+// class's subjects, which splits attendance reports per subject.
+const SUBJECT_FIELDS = ['name', 'code', 'min_percentage'];
 
-  const doc = new PDFDocument({ margin: 40, size: 'A4' });
-  doc.pipe(res);
+function buildSubjectValues(merged) {
+  const name = merged.name ? String(merged.name).trim() : '';
+  if (!name) {
+    throw new Error('Subject name is required');
+  }
+  let minPercentage = null;
+  if (merged.min_percentage !== undefined && merged.min_percentage !== null && merged.min_percentage !== '') {
+    minPercentage = Number(merged.min_percentage);
+    if (isNaN(minPercentage) || minPercentage < 0 || minPercentage > 100) {
+      throw new Error('Invalid min_percentage: must be between 0 and 100');
+    }
+  }
+  return {
+    name,
+    code: merged.code ? String(merged.code).trim() : null,
+    min_percentage: minPercentage,
+  };
+}
 
-  doc.fontSize(18).text(title, { align: 'center' });
-  doc.moveDown();
+// subject_id from a request body, checked against the class it is used in. Returns null
+// when none was given; throws an "Invalid ..." error when the class does not take the subject.
+async function resolveClassSubject(value, classId, queryable = db) {
+  if (value === undefined || value === null || value === '') return null;
+  const subjectId = validateInteger(value, 'subject_id');
+  const result = await queryable.query(
+    'SELECT 1 FROM class_subjects WHERE class_id = $1 AND subject_id = $2',
+    [classId, subjectId]
+  );
+  if (result.rows.length === 0) {
+    throw new Error('Invalid subject_id: the subject is not taught in this class');
+  }
+  return subjectId;
+}
 
-  doc.fontSize(11);
-  rows.forEach((r) => {
-    doc.text(`${r.date}  |  ${r.class_name}  |  ${(r.topic || '')}  |  ${String(r.status).toUpperCase()}`);
-  });
+// --- Enrollments ---
+// enrollments keeps each student's class history (see schema.sql); students.class_id and the
+// student's login (users.class_id) always point at the current class. Moves go through
+// transferStudent so the three stay in step.
+function todayDateString() {
+  return new Date().toISOString().slice(0, 10);
+}
 
-  doc.end();
+// Optional enrollment date from a request body; defaults to today and cannot be in the future
+function resolveEnrollmentDate(value, fieldName) {
+  if (value === undefined || value === null || value === '') return todayDateString();
+  const date = validateDate(String(value));
+  if (date > todayDateString()) {
+    throw new Error(`Invalid ${fieldName}: cannot be in the future`);
+  }
+  return date;
 }
 
-function sendClassSummaryPdf(res, rows, options = {}) {
-  const filename = options.filename || 'class-summary.pdf';
-  const title = options.title || 'Class Attendance Summary';
+async function openEnrollment(queryable, studentId, classId, effectiveFrom, reason, userId) {
+  const result = await queryable.query(
+    `INSERT INTO enrollments (student_id, class_id, effective_from, reason, created_by)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [studentId, classId, effectiveFrom, reason, userId || null]
+  );
+  return result.rows[0];
+}
 
-  res.setHeader('Content-Type', 'application/pdf');
-  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+// Join condition for the enrollments that cover a session: the student belonged to the session's
+// class on its date. Use it wherever membership concerns a specific session, since students.class_id
+// only holds the current class.
+function sessionEnrollmentSql(sessionAlias, enrollmentAlias) {
+  return `${enrollmentAlias}.class_id = ${sessionAlias}.class_id
+    AND ${sessionAlias}.date BETWEEN ${enrollmentAlias}.effective_from AND COALESCE(${enrollmentAlias}.effective_to, ${sessionAlias}.date)`;
+}
 
-  const doc = new PDFDocument({ margin: 40, size: 'A4' });
-  doc.pipe(res);
+// The ids among studentIds that were enrolled in the session's class on the session date
+async function findSessionEnrollees(queryable, sessionId, studentIds) {
+  const result = await queryable.query(
+    `SELECT DISTINCT e.student_id
+     FROM sessions sess
+     JOIN enrollments e ON ${sessionEnrollmentSql('sess', 'e')}
+     WHERE sess.id = $1 AND e.student_id = ANY($2::int[])`,
+    [sessionId, studentIds]
+  );
+  return new Set(result.rows.map((r) => r.student_id));
+}
 
-  doc.fontSize(18).text(title, { align: 'center' });
-  doc.moveDown();
+// Move a student to classId from effectiveDate (inclusive) on the caller's client, inside its
+// transaction. The current enrollment ends the day before; a move on the day it started replaces
+// it. Throws "Invalid ..." errors when the move does not fit the history.
+// Returns { enrollment, previous, marks_outside_enrollment }, the last being the student's marks
+// in other classes on or after effectiveDate, which no longer count toward any class report.
+async function transferStudent(client, studentId, classId, effectiveDate, reason, userId) {
+  const currentResult = await client.query(
+    'SELECT * FROM enrollments WHERE student_id = $1 AND effective_to IS NULL FOR UPDATE',
+    [studentId]
+  );
+  const current = currentResult.rows[0] || null;
+  if (current && current.class_id === classId) {
+    throw new Error('Invalid class_id: the student is already in this class');
+  }
 
-  doc.fontSize(11);
-  rows.forEach((r) => {
-    const total = r.total || 0;
-    const presents = r.presents || 0;
-    const percent = total > 0 ? ((presents / total) * 100).toFixed(1) : '0.0';
-    doc.text(`${r.student_name} (${r.roll_number || ''}) - ${presents}/${total} (${percent}%)`);
-  });
+  let enrollment;
+  const currentFrom = current ? toDateString(current.effective_from) : null;
+  if (current && currentFrom > effectiveDate) {
+    throw new Error(`Invalid effective_date: the current enrollment started on ${currentFrom}`);
+  }
+  if (current && currentFrom === effectiveDate) {
+    const result = await client.query(
+      'UPDATE enrollments SET class_id = $1, reason = $2, created_by = $3, created_at = NOW() WHERE id = $4 RETURNING *',
+      [classId, reason, userId || null, current.id]
+    );
+    enrollment = result.rows[0];
+  } else {
+    if (current) {
+      await client.query("UPDATE enrollments SET effective_to = $1::date - 1 WHERE id = $2", [effectiveDate, current.id]);
+    }
+    enrollment = await openEnrollment(client, studentId, classId, effectiveDate, reason, userId);
+  }
 
-  doc.end();
+  await client.query('UPDATE students SET class_id = $1 WHERE id = $2', [classId, studentId]);
+  await client.query("UPDATE users SET class_id = $1 WHERE student_id = $2 AND role = 'student'", [classId, studentId]);
+
+  const marksResult = await client.query(
+    `SELECT COUNT(*) AS count FROM attendance a
+     JOIN sessions sess ON sess.id = a.session_id
+     WHERE a.student_id = $1 AND sess.class_id <> $2 AND sess.date >= $3`,
+    [studentId, classId, effectiveDate]
+  );
+  return {
+    enrollment,
+    previous: current,
+    marks_outside_enrollment: parseInt(marksResult.rows[0].count, 10),
+  };
 }
 
-// --- Auth ---
-app.post('/api/login', async (req, res) => {
-  const { username, password, role } = req.body;
-
-  if (!username || !password || !role) {
-    return res.status(400).json({ error: 'Username, password, and role are required' });
+// --- Year-end rollover ---
+// Moves whole classes up a year in one transaction: each mapping sends the students of a class to
+// the next one (an existing class by id or name, or a new class), exceptions hold students back or
+// send them to another class, and the sessions of every existing class involved dated before the
+// rollover are archived. A dry run makes the same changes and rolls them back, so the preview is
+// exactly what applying would do.
+const ROLLOVER_EXCEPTION_ACTIONS = ['hold_back', 'move'];
+
+function buildRolloverPlan(body) {
+  const { mappings } = body;
+  if (!Array.isArray(mappings) || mappings.length === 0) {
+    throw new Error('mappings must be a non-empty array');
   }
+  const mappedClassIds = new Set();
+  const plannedMappings = mappings.map((m, index) => {
+    const mapping = m || {};
+    const fromClassId = validateInteger(mapping.from_class_id, `mappings[${index}].from_class_id`);
+    if (mappedClassIds.has(fromClassId)) {
+      throw new Error(`Invalid mappings: class ${fromClassId} is mapped more than once`);
+    }
+    mappedClassIds.add(fromClassId);
+    const toClassId = mapping.to_class_id ? validateInteger(mapping.to_class_id, `mappings[${index}].to_class_id`) : null;
+    const toClassName = mapping.to_class_name ? String(mapping.to_class_name).trim() : '';
+    if (!toClassId && !toClassName) {
+      throw new Error(`Invalid mappings[${index}]: to_class_id or to_class_name is required`);
+    }
+    return {
+      from_class_id: fromClassId,
+      to_class_id: toClassId,
+      to_class_name: toClassName,
+      to_description: mapping.to_description || null,
+    };
+  });
 
-  try {
-    const { sql, params } = convertPlaceholders(
-      'SELECT id, username, role, class_id, student_id, password FROM users WHERE username = ?',
-      [username]
-    );
-    const result = await db.query(sql, params);
-    const user = result.rows[0];
-
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid username or password' });
+  const exceptionList = body.exceptions === undefined || body.exceptions === null ? [] : body.exceptions;
+  if (!Array.isArray(exceptionList)) {
+    throw new Error('exceptions must be an array');
+  }
+  const exceptions = new Map();
+  exceptionList.forEach((e, index) => {
+    const exception = e || {};
+    const studentId = validateInteger(exception.student_id, `exceptions[${index}].student_id`);
+    if (exceptions.has(studentId)) {
+      throw new Error(`Invalid exceptions: student ${studentId} is listed more than once`);
     }
+    const action = exception.action || 'hold_back';
+    if (!ROLLOVER_EXCEPTION_ACTIONS.includes(action)) {
+      throw new Error(`Invalid exceptions[${index}].action. Must be one of: ${ROLLOVER_EXCEPTION_ACTIONS.join(', ')}`);
+    }
+    exceptions.set(studentId, {
+      action,
+      class_id: action === 'move' ? validateInteger(exception.class_id, `exceptions[${index}].class_id`) : null,
+    });
+  });
 
-    // Check password (support both hashed and plain text for migration)
-    let passwordMatch = false;
-    if (user.password.startsWith('$2b$') || user.password.startsWith('$2a$')) {
-      // Hashed password
-      passwordMatch = await bcrypt.compare(password, user.password);
+  return {
+    mappings: plannedMappings,
+    exceptions,
+    effectiveDate: resolveEnrollmentDate(body.effective_date, 'effective_date'),
+  };
+}
+
+// Resolve or create the target class of each mapping; returns Map(from_class_id -> { id, name, created })
+async function resolveRolloverTargets(client, plan) {
+  const targets = new Map();
+  for (const m of plan.mappings) {
+    let target;
+    if (m.to_class_id) {
+      const result = await client.query('SELECT id, name FROM classes WHERE id = $1', [m.to_class_id]);
+      if (result.rows.length === 0) {
+        throw new Error(`Invalid mappings: class ${m.to_class_id} does not exist`);
+      }
+      target = Object.assign({ created: false }, result.rows[0]);
     } else {
-      // Plain text password (for migration)
-      passwordMatch = user.password === password;
-      // Optionally hash and update in database
-      if (passwordMatch) {
-        const hashed = await bcrypt.hash(password, 10);
-        const { sql: updateSql, params: updateParams } = convertPlaceholders(
-          'UPDATE users SET password = ? WHERE id = ?',
-          [hashed, user.id]
+      const result = await client.query('SELECT id, name FROM classes WHERE name = $1', [m.to_class_name]);
+      if (result.rows.length > 0) {
+        target = Object.assign({ created: false }, result.rows[0]);
+      } else {
+        const created = await client.query(
+          'INSERT INTO classes (name, description) VALUES ($1, $2) RETURNING id, name',
+          [m.to_class_name, m.to_description]
         );
-        await db.query(updateSql, updateParams);
+        target = Object.assign({ created: true }, created.rows[0]);
       }
     }
+    if (target.id === m.from_class_id) {
+      throw new Error(`Invalid mappings: class ${m.from_class_id} is mapped to itself`);
+    }
+    targets.set(m.from_class_id, target);
+  }
+  return targets;
+}
 
-    if (!passwordMatch) {
-      return res.status(401).json({ error: 'Invalid username or password' });
+async function runRollover(client, plan, userId) {
+  const fromIds = plan.mappings.map((m) => m.from_class_id);
+  const fromResult = await client.query(
+    'SELECT id, name FROM classes WHERE id = ANY($1::int[]) ORDER BY name FOR UPDATE',
+    [fromIds]
+  );
+  if (fromResult.rows.length !== fromIds.length) {
+    throw new Error('Invalid mappings: some from_class_id classes do not exist');
+  }
+  const classNames = new Map(fromResult.rows.map((c) => [c.id, c.name]));
+  const targets = await resolveRolloverTargets(client, plan);
+  targets.forEach((t) => classNames.set(t.id, t.name));
+
+  for (const [studentId, exception] of plan.exceptions) {
+    if (exception.action !== 'move' || classNames.has(exception.class_id)) continue;
+    const result = await client.query('SELECT id, name FROM classes WHERE id = $1', [exception.class_id]);
+    if (result.rows.length === 0) {
+      throw new Error(`Invalid exceptions: class ${exception.class_id} for student ${studentId} does not exist`);
     }
+    classNames.set(result.rows[0].id, result.rows[0].name);
+  }
 
-    if (String(user.role) !== String(role)) {
-      return res
-        .status(400)
-        .json({ error: 'Incorrect role selected. Please choose the correct role.' });
+  // Everyone is read before anyone moves, so chained mappings (11 -> 12, 12 -> 13) move each cohort once
+  const studentsResult = await client.query(
+    'SELECT id, name, roll_number, class_id FROM students WHERE class_id = ANY($1::int[]) ORDER BY name, id FOR UPDATE',
+    [fromIds]
+  );
+  const studentIds = new Set(studentsResult.rows.map((st) => st.id));
+  const unknown = Array.from(plan.exceptions.keys()).filter((id) => !studentIds.has(id));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid exceptions: students ${unknown.join(', ')} are not in a mapped class`);
+  }
+
+  const moves = [];
+  const heldBack = [];
+  let marksOutside = 0;
+  for (const st of studentsResult.rows) {
+    const exception = plan.exceptions.get(st.id);
+    const entry = {
+      student_id: st.id,
+      student_name: st.name,
+      roll_number: st.roll_number,
+      from_class_id: st.class_id,
+      from_class_name: classNames.get(st.class_id),
+    };
+    if (exception && exception.action === 'hold_back') {
+      heldBack.push(entry);
+      continue;
     }
+    const toClassId = exception ? exception.class_id : targets.get(st.class_id).id;
+    try {
+      const move = await transferStudent(client, st.id, toClassId, plan.effectiveDate, 'promotion', userId);
+      marksOutside += move.marks_outside_enrollment;
+    } catch (moveErr) {
+      if (/^Invalid/.test(moveErr.message)) {
+        throw new Error(`Invalid rollover for ${st.name} (student ${st.id}): ${moveErr.message.replace(/^Invalid \w+: /, '')}`);
+      }
+      throw moveErr;
+    }
+    moves.push(Object.assign(entry, { to_class_id: toClassId, to_class_name: classNames.get(toClassId), exception: !!exception }));
+    await queueWebhookEvent(client, 'student.transferred', {
+      student_id: st.id,
+      from_class_id: st.class_id,
+      to_class_id: toClassId,
+      effective_date: plan.effectiveDate,
+      reason: 'promotion',
+    });
+  }
 
-    const { token, user: sessionUser, expiresAt } = createSession(user);
-    res.json({ message: 'Login successful', user: sessionUser, token, expiresAt });
-  } catch (err) {
-    return handleDbError(err, res, 'Login');
+  // The old year: sessions before the rollover in every class that existed before it
+  const archiveIds = [...new Set([...fromIds, ...Array.from(targets.values()).filter((t) => !t.created).map((t) => t.id)])];
+  const archiveResult = await client.query(
+    `UPDATE sessions SET archived_at = NOW(), archived_by = $3
+     WHERE class_id = ANY($1::int[]) AND date < $2 AND archived_at IS NULL
+     RETURNING class_id`,
+    [archiveIds, plan.effectiveDate, userId]
+  );
+  const archivedByClass = new Map();
+  archiveResult.rows.forEach((r) => archivedByClass.set(r.class_id, (archivedByClass.get(r.class_id) || 0) + 1));
+
+  const warnings = [];
+  if (marksOutside > 0) {
+    warnings.push(`${marksOutside} attendance marks dated on or after ${plan.effectiveDate} stay with the old classes and no longer count toward any class report`);
   }
-});
 
-app.post('/api/logout', requireAuth, (req, res) => {
-  const token = req.headers['x-auth-token'] || req.query.token;
-  if (token && sessions.has(token)) {
-    sessions.delete(token);
+  return {
+    effective_date: plan.effectiveDate,
+    classes: plan.mappings.map((m) => {
+      const target = targets.get(m.from_class_id);
+      return {
+        from_class_id: m.from_class_id,
+        from_class_name: classNames.get(m.from_class_id),
+        to_class_id: target.id,
+        to_class_name: target.name,
+        created: target.created,
+        students_moving: moves.filter((mv) => mv.from_class_id === m.from_class_id && !mv.exception).length,
+        students_held_back: heldBack.filter((h) => h.from_class_id === m.from_class_id).length,
+      };
+    }),
+    moves,
+    held_back: heldBack,
+    archived_sessions: {
+      total: archiveResult.rows.length,
+      by_class: archiveIds.map((id) => ({ class_id: id, class_name: classNames.get(id), count: archivedByClass.get(id) || 0 })),
+    },
+    warnings,
+  };
+}
+
+// --- Attendance statuses ---
+// Statuses live in the attendance_statuses table so schools can add their own
+// (late, half day, excused, ...) and tune how much each one counts as attended.
+const CORE_STATUS_CODES = ['present', 'absent', 'leave'];
+// Status used to pre-mark students with approved leave
+const LEAVE_STATUS = 'leave';
+
+async function getAttendanceStatuses(queryable = db) {
+  const result = await queryable.query(
+    'SELECT code, label, weight, counts_in_total, sort_order FROM attendance_statuses ORDER BY sort_order, code'
+  );
+  return result.rows;
+}
+
+function validateStatusWeight(value) {
+  const weight = Number(value);
+  if (value === '' || value === null || isNaN(weight) || weight < 0 || weight > 1) {
+    throw new Error('Invalid weight: must be a number between 0 and 1');
   }
-  res.json({ message: 'Logged out' });
-});
+  return weight;
+}
 
-app.get('/api/me', requireAuth, (req, res) => {
-  res.json({ user: req.user });
-});
+// --- Attendance policies ---
+const POLICY_RULE_TYPES = ['min_percentage', 'consecutive_absences'];
 
-// --- Classes ---
-app.get('/api/classes', requireAuth, async (req, res) => {
-  try {
-    const sql = 'SELECT * FROM classes ORDER BY name';
-    const result = await db.query(sql);
-    // Always return an array, even if empty
-    res.json(Array.isArray(result.rows) ? result.rows : []);
-  } catch (err) {
-    console.error('GET /api/classes error:', err);
-    return handleDbError(err, res, 'Get classes');
+// Validate policy fields from a request body. When `existing` is given (updates),
+// missing fields fall back to the stored values.
+function buildPolicyValues(body, existing = {}) {
+  const merged = Object.assign({}, existing, body);
+  const { name, rule_type, threshold } = merged;
+
+  if (!name || !rule_type || threshold === undefined || threshold === null || threshold === '') {
+    throw new Error('name, rule_type and threshold are required');
+  }
+  if (!POLICY_RULE_TYPES.includes(rule_type)) {
+    throw new Error(`Invalid rule_type. Must be one of: ${POLICY_RULE_TYPES.join(', ')}`);
   }
-});
 
-app.post('/api/classes', requireAuth, requireRole('admin'), async (req, res) => {
-  const { name, description } = req.body;
-  if (!name) {
-    return res.status(400).json({ error: 'Class name is required' });
+  const thresholdNum = Number(threshold);
+  if (rule_type === 'min_percentage' && (isNaN(thresholdNum) || thresholdNum <= 0 || thresholdNum > 100)) {
+    throw new Error('Invalid threshold: minimum percentage must be between 0 and 100');
   }
-  try {
-    const { sql, params } = convertPlaceholders(
-      'INSERT INTO classes (name, description) VALUES (?, ?) RETURNING id, name, description',
-      [name, description || null]
+  if (rule_type === 'consecutive_absences' && (!Number.isInteger(thresholdNum) || thresholdNum <= 0)) {
+    throw new Error('Invalid threshold: consecutive absences must be a positive integer');
+  }
+
+  const classId = merged.class_id ? validateInteger(merged.class_id, 'class_id') : null;
+  const periodStart = merged.period_start ? validateDate(toDateString(merged.period_start)) : null;
+  const periodEnd = merged.period_end ? validateDate(toDateString(merged.period_end)) : null;
+  if (periodStart && periodEnd && periodStart > periodEnd) {
+    throw new Error('period_start must be on or before period_end');
+  }
+
+  return {
+    name,
+    description: merged.description || null,
+    class_id: classId,
+    rule_type,
+    threshold: thresholdNum,
+    period_start: periodStart,
+    period_end: periodEnd,
+    active: merged.active !== false,
+  };
+}
+
+// Evaluate one policy against the attendance table and return the students breaking it.
+// Each violation carries the measured `value` (percentage or longest absence streak).
+// A class policy looks at the sessions of that class, so marks from before a student
+// transferred in (or after they left) do not count against it.
+async function evaluatePolicy(policy) {
+  const params = [];
+  const where = [];
+  const classColumn = policy.class_id ? 'sess.class_id' : 'st.class_id';
+
+  if (policy.class_id) {
+    where.push(`sess.class_id = $${params.length + 1}`);
+    params.push(policy.class_id);
+  }
+  if (policy.period_start) {
+    where.push(`sess.date >= $${params.length + 1}`);
+    params.push(policy.period_start);
+  }
+  if (policy.period_end) {
+    where.push(`sess.date <= $${params.length + 1}`);
+    params.push(policy.period_end);
+  }
+  const whereSql = where.length > 0 ? 'WHERE ' + where.join(' AND ') : '';
+
+  if (policy.rule_type === 'min_percentage') {
+    params.push(Number(policy.threshold));
+    const result = await db.query(
+      `SELECT st.id AS student_id, st.name AS student_name, st.roll_number,
+              c.id AS class_id, c.name AS class_name,
+              COUNT(CASE WHEN ast.counts_in_total THEN 1 END) AS total,
+              ${WEIGHTED_PRESENTS_SQL} AS presents
+       FROM attendance a
+       JOIN students st ON st.id = a.student_id
+       JOIN sessions sess ON sess.id = a.session_id
+       JOIN classes c ON c.id = ${classColumn}
+       JOIN attendance_statuses ast ON ast.code = a.status
+       ${whereSql}
+       GROUP BY st.id, st.name, st.roll_number, c.id, c.name
+       HAVING COUNT(CASE WHEN ast.counts_in_total THEN 1 END) > 0
+          AND ${WEIGHTED_PRESENTS_SQL} * 100 < $${params.length} * COUNT(CASE WHEN ast.counts_in_total THEN 1 END)
+       ORDER BY c.name, st.name`,
+      params
     );
-    const result = await db.query(sql, params);
-    if (!result.rows || result.rows.length === 0) {
-      return res.status(500).json({ error: 'Failed to create class: no data returned' });
+    return result.rows.map((r) => ({
+      student_id: r.student_id,
+      student_name: r.student_name,
+      roll_number: r.roll_number,
+      class_id: r.class_id,
+      class_name: r.class_name,
+      value: Number(attendancePercent(r.presents, r.total)),
+    }));
+  }
+
+  // consecutive_absences: walk each student's marks in date order and track the longest
+  // run of zero-weight statuses. Statuses outside the total (excused) neither extend nor break a run.
+  const result = await db.query(
+    `SELECT st.id AS student_id, st.name AS student_name, st.roll_number,
+            c.id AS class_id, c.name AS class_name,
+            ast.weight, ast.counts_in_total
+     FROM attendance a
+     JOIN students st ON st.id = a.student_id
+     JOIN sessions sess ON sess.id = a.session_id
+     JOIN classes c ON c.id = ${classColumn}
+     JOIN attendance_statuses ast ON ast.code = a.status
+     ${whereSql}
+     ORDER BY c.name, st.name, st.id, sess.date, sess.id`,
+    params
+  );
+
+  const streaks = new Map();
+  result.rows.forEach((r) => {
+    if (!streaks.has(r.student_id)) {
+      streaks.set(r.student_id, { row: r, current: 0, longest: 0 });
     }
-    res.status(201).json(result.rows[0]);
-  } catch (err) {
-    console.error('POST /api/classes error:', err);
-    // Handle unique constraint violations (duplicate class name)
-    if (err.code === '23505' || /unique constraint|duplicate key/i.test(err.message)) {
-      return res.status(400).json({ error: 'A class with this name already exists' });
+    const entry = streaks.get(r.student_id);
+    if (!r.counts_in_total) return;
+    if (Number(r.weight) === 0) {
+      entry.current += 1;
+      entry.longest = Math.max(entry.longest, entry.current);
+    } else {
+      entry.current = 0;
+    }
+  });
+
+  const violations = [];
+  for (const { row, longest } of streaks.values()) {
+    if (longest > Number(policy.threshold)) {
+      violations.push({
+        student_id: row.student_id,
+        student_name: row.student_name,
+        roll_number: row.roll_number,
+        class_id: row.class_id,
+        class_name: row.class_name,
+        value: longest,
+      });
     }
-    return handleDbError(err, res, 'Create class');
   }
-});
+  return violations;
+}
 
-// --- Students ---
-app.get('/api/students', requireAuth, async (req, res) => {
-  const { class_id } = req.query;
-  const user = req.user;
+// --- Attendance locking ---
+// SQL expression that is TRUE when the session aliased as `alias` no longer accepts direct marks.
+// Archived sessions are always locked, and unlike finalized ones even admins cannot change them.
+function sessionLockedSql(alias) {
+  const timeLock = ATTENDANCE_LOCK_HOURS > 0
+    ? ` OR ${alias}.date + INTERVAL '${ATTENDANCE_LOCK_HOURS} hours' < NOW()`
+    : '';
+  return `(${alias}.finalized_at IS NOT NULL OR ${alias}.archived_at IS NOT NULL${timeLock})`;
+}
+
+const SESSION_LOCKED_MESSAGE = 'Attendance for this session is locked. Submit a correction request instead.';
+const SESSION_ARCHIVED_MESSAGE = 'This session belongs to an archived year and is read-only';
+
+// --- Attendance history ---
+// Every insert or status change of an attendance row is appended to attendance_history
+// together with the acting user. Callers pass their transaction client. A mark that stops
+// being absent also drops the guardian email queued for it if it has not been sent yet.
+async function recordAttendanceChange(client, change) {
+  if (change.oldStatus === 'absent' && change.newStatus !== 'absent') {
+    await cancelAbsenceNotifications(client, change.sessionId, change.studentId);
+  }
+
+  await client.query(
+    `INSERT INTO attendance_history
+       (attendance_id, session_id, student_id, old_status, new_status, changed_by, changed_by_name, reason, client_marked_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      change.attendanceId,
+      change.sessionId,
+      change.studentId,
+      change.oldStatus || null,
+      change.newStatus,
+      change.user ? change.user.id : null,
+      change.user ? change.user.username : null,
+      change.reason || null,
+      change.clientMarkedAt || null,
+    ]
+  );
+}
+
+// Marks changed outside POST /api/attendance (check-in, corrections, leave) are announced the
+// same way: an attendance.marked webhook and a live board update, both in the caller's
+// transaction. records: [{ student_id, status, previous_status }]. Kick the webhook queue after COMMIT.
+async function announceAttendanceChanges(client, session, user, records) {
+  if (records.length === 0) return;
+  await queueWebhookEvent(client, 'attendance.marked', {
+    session_id: session.id,
+    class_id: session.class_id,
+    marked_by: user ? user.id : null,
+    records,
+  });
+  await publishLiveChange(client, {
+    type: 'attendance',
+    session_id: session.id,
+    class_id: session.class_id,
+    records: records.map(({ student_id, status }) => ({ student_id, status })),
+  });
+}
+
+// --- Self check-in ---
+const CHECKIN_DEFAULT_MINUTES = 10;
+const CHECKIN_MAX_MINUTES = 120;
+const CHECKIN_DEFAULT_CODE_TTL_SECONDS = 30;
+
+// Time step a code belongs to; codes rotate every code_ttl_seconds
+function checkinStep(window, now = Date.now()) {
+  return Math.floor(now / 1000 / window.code_ttl_seconds);
+}
+
+// Six-digit code for a window and time step (HOTP-style truncation of an HMAC over the step)
+function checkinCode(window, step) {
+  const digest = crypto.createHmac('sha256', window.secret).update(String(step)).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const value = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(value % 1000000).padStart(6, '0');
+}
+
+// Step matched by a submitted code. The previous step is still accepted so a code that
+// rotates while a student is typing it does not fail; anything older has expired.
+function matchCheckinCode(window, code, now = Date.now()) {
+  const current = checkinStep(window, now);
+  const submitted = String(code || '').trim();
+  for (const step of [current, current - 1]) {
+    const expected = checkinCode(window, step);
+    if (submitted.length === expected.length && crypto.timingSafeEqual(Buffer.from(submitted), Buffer.from(expected))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+// Check-in location constraints. Returns the normalized CIDR list, or throws "Invalid ..." errors.
+function validateCidrs(values) {
+  if (!Array.isArray(values)) {
+    throw new Error('Invalid allowed_cidrs: must be an array');
+  }
+  return values.map((value) => {
+    const [address, prefixText] = String(value).trim().split('/');
+    const family = net.isIP(address);
+    const maxPrefix = family === 6 ? 128 : 32;
+    const prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+    if (!family || !Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) {
+      throw new Error(`Invalid allowed_cidrs entry: ${value}`);
+    }
+    return `${address}/${prefix}`;
+  });
+}
+
+function ipAllowed(ip, cidrs) {
+  // IPv4 clients on a dual-stack socket show up as ::ffff:a.b.c.d
+  const address = String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+  const family = net.isIP(address);
+  if (!family) return false;
+  const list = new net.BlockList();
+  cidrs.forEach((cidr) => {
+    const [subnet, prefix] = cidr.split('/');
+    list.addSubnet(subnet, parseInt(prefix, 10), net.isIP(subnet) === 6 ? 'ipv6' : 'ipv4');
+  });
+  return list.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Great-circle distance in meters
+function distanceMeters(lat1, lon1, lat2, lon2) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(a));
+}
+
+// The session's own constraints if it has any, otherwise its class's; null when unrestricted
+async function getCheckinConstraints(sessionId, classId, queryable = db) {
+  const result = await queryable.query(
+    `SELECT * FROM checkin_constraints
+     WHERE session_id = $1 OR class_id = $2
+     ORDER BY session_id NULLS LAST
+     LIMIT 1`,
+    [sessionId, classId]
+  );
+  return result.rows[0] || null;
+}
+
+// Check a submission against the constraints. Returns null when allowed, otherwise
+// { reason, details } describing why it was rejected.
+function checkCheckinLocation(constraints, ip, latitude, longitude) {
+  if (!constraints) return null;
+
+  if (constraints.allowed_cidrs && constraints.allowed_cidrs.length > 0 && !ipAllowed(ip, constraints.allowed_cidrs)) {
+    return { reason: 'ip_not_allowed', details: `${ip || 'unknown address'} is not on the allowed network list` };
+  }
+
+  if (constraints.radius_meters) {
+    const lat = Number(latitude);
+    const lon = Number(longitude);
+    if (latitude === undefined || latitude === null || longitude === undefined || longitude === null
+        || isNaN(lat) || isNaN(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+      return { reason: 'location_missing', details: 'A valid latitude and longitude are required' };
+    }
+    const distance = distanceMeters(lat, lon, Number(constraints.latitude), Number(constraints.longitude));
+    if (distance > constraints.radius_meters) {
+      return {
+        reason: 'outside_geofence',
+        details: `${Math.round(distance)} m from the classroom (allowed ${constraints.radius_meters} m)`,
+      };
+    }
+  }
+  return null;
+}
+
+// --- Live attendance ---
+// Server-sent event streams of attendance counts. A subscriber watches either one session
+// or the sessions of some classes on one day (classIds null means every class).
+const LIVE_HEARTBEAT_SECONDS = parseInt(process.env.LIVE_HEARTBEAT_SECONDS || '25', 10) || 25;
+const LIVE_RETRY_MS = 5000;
+const liveSubscribers = new Set();
+let liveListening = false;
+
+// Marked and unmarked counts per session, with a count per status. Only students enrolled in
+// the session's class on the session date are counted, so unmarked never goes negative.
+async function getLiveSessionCounts(filter) {
+  const params = [];
+  const conditions = [];
+  if (filter.sessionIds) {
+    params.push(filter.sessionIds);
+    conditions.push(`sess.id = ANY($${params.length}::int[])`);
+  }
+  if (filter.classIds) {
+    params.push(filter.classIds);
+    conditions.push(`sess.class_id = ANY($${params.length}::int[])`);
+  }
+  if (filter.date) {
+    params.push(filter.date);
+    conditions.push(`sess.date = $${params.length}`);
+  }
+
+  const result = await db.query(
+    `SELECT sess.id AS session_id, sess.class_id, c.name AS class_name, sess.date, sess.topic,
+            sess.period, sess.start_time, sess.end_time,
+            (SELECT COUNT(DISTINCT e.student_id) FROM enrollments e
+             WHERE ${sessionEnrollmentSql('sess', 'e')}) AS total,
+            (SELECT COUNT(*) FROM attendance a
+             WHERE a.session_id = sess.id
+               AND EXISTS (SELECT 1 FROM enrollments e
+                           WHERE e.student_id = a.student_id AND ${sessionEnrollmentSql('sess', 'e')})) AS marked
+     FROM sessions sess
+     JOIN classes c ON c.id = sess.class_id
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY c.name, sess.start_time NULLS LAST, sess.period NULLS LAST, sess.id`,
+    params
+  );
+  if (result.rows.length === 0) return [];
+
+  const sessionIds = result.rows.map((r) => r.session_id);
+  const statusResult = await db.query(
+    `SELECT a.session_id, a.status, COUNT(*) AS count
+     FROM attendance a
+     JOIN sessions sess ON sess.id = a.session_id
+     WHERE a.session_id = ANY($1::int[])
+       AND EXISTS (SELECT 1 FROM enrollments e
+                   WHERE e.student_id = a.student_id AND ${sessionEnrollmentSql('sess', 'e')})
+     GROUP BY a.session_id, a.status`,
+    [sessionIds]
+  );
+  const statuses = new Map(sessionIds.map((id) => [id, {}]));
+  statusResult.rows.forEach((r) => {
+    statuses.get(r.session_id)[r.status] = parseInt(r.count, 10);
+  });
+
+  return result.rows.map((r) => {
+    const total = parseInt(r.total, 10);
+    const marked = parseInt(r.marked, 10);
+    return {
+      session_id: r.session_id,
+      class_id: r.class_id,
+      class_name: r.class_name,
+      date: toDateString(r.date),
+      topic: r.topic,
+      total,
+      marked,
+      unmarked: total - marked,
+      statuses: statuses.get(r.session_id),
+    };
+  });
+}
+
+function sendLiveEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+async function sendLiveSnapshot(subscriber) {
+  try {
+    const sessions = await getLiveSessionCounts(subscriber.sessionId
+      ? { sessionIds: [subscriber.sessionId] }
+      : { classIds: subscriber.classIds, date: subscriber.date });
+    sendLiveEvent(subscriber.res, 'snapshot', { date: subscriber.date, sessions });
+  } catch (err) {
+    console.error('Live attendance snapshot error:', err.message);
+  }
+}
+
+// Counts are recomputed once per change and sent to every stream watching that session
+async function dispatchLiveChange(change) {
+  const targets = Array.from(liveSubscribers).filter((s) => (s.sessionId
+    ? s.sessionId === change.session_id
+    : !s.classIds || s.classIds.includes(change.class_id)));
+  if (targets.length === 0) return;
+
+  try {
+    const [counts] = await getLiveSessionCounts({ sessionIds: [change.session_id] });
+    if (!counts) return;
+    targets.forEach((s) => {
+      if (!s.sessionId && counts.date !== s.date) return;
+      sendLiveEvent(s.res, change.type, Object.assign({}, counts, { records: change.records }));
+    });
+  } catch (err) {
+    console.error('Live attendance error:', err.message);
+  }
+}
+
+// Start a stream for an authenticated request. scope is { sessionId } or { classIds, date }.
+async function openLiveStream(req, res, scope) {
+  const subscriber = Object.assign({ res, authSessionId: req.sessionId, sessionId: null, classIds: null, date: null }, scope);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(`retry: ${LIVE_RETRY_MS}\n\n`);
+
+  liveSubscribers.add(subscriber);
+  if (!liveListening) {
+    liveListening = true;
+    onLiveChange(dispatchLiveChange, () => liveSubscribers.forEach(sendLiveSnapshot));
+  }
+
+  // The comment keeps proxies from dropping an idle stream. The login session is checked
+  // each time so a logout or expiry also ends the stream.
+  const heartbeat = setInterval(async () => {
+    try {
+      const result = await db.query(
+        'SELECT 1 FROM auth_sessions WHERE id = $1 AND expires_at > NOW()',
+        [subscriber.authSessionId]
+      );
+      if (result.rows.length === 0) {
+        sendLiveEvent(res, 'end', { reason: 'Your login session has ended' });
+        res.end();
+        return;
+      }
+    } catch (err) {
+      console.error('Live attendance heartbeat error:', err.message);
+    }
+    res.write(': heartbeat\n\n');
+  }, LIVE_HEARTBEAT_SECONDS * 1000);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    liveSubscribers.delete(subscriber);
+  });
+
+  await sendLiveSnapshot(subscriber);
+}
+
+// ?date=YYYY-MM-DD, or today by the database clock
+async function resolveLiveDate(query) {
+  if (query.date) {
+    return validateDate(String(query.date));
+  }
+  const result = await db.query('SELECT CURRENT_DATE AS today');
+  return toDateString(result.rows[0].today);
+}
+
+// --- Leave ---
+// Pre-mark students with approved leave covering the session date. Only unmarked students are
+// touched, so a teacher's existing marks are never overwritten, and locked or archived sessions
+// are left alone (they change through corrections only). New marks are announced with
+// announceAttendanceChanges. Returns the number of rows marked.
+async function applyApprovedLeave(client, sessionId, user) {
+  const result = await client.query(
+    `INSERT INTO attendance (session_id, student_id, status, marked_at)
+     SELECT DISTINCT sess.id, lr.student_id, $2, CURRENT_TIMESTAMP
+     FROM sessions sess
+     JOIN enrollments e ON ${sessionEnrollmentSql('sess', 'e')}
+     JOIN leave_requests lr ON lr.student_id = e.student_id
+     WHERE sess.id = $1
+       AND NOT ${sessionLockedSql('sess')}
+       AND lr.status = 'approved'
+       AND sess.date BETWEEN lr.start_date AND lr.end_date
+     ON CONFLICT (session_id, student_id) DO NOTHING
+     RETURNING id, student_id`,
+    [sessionId, LEAVE_STATUS]
+  );
+
+  for (const row of result.rows) {
+    await recordAttendanceChange(client, {
+      attendanceId: row.id,
+      sessionId,
+      studentId: row.student_id,
+      newStatus: LEAVE_STATUS,
+      user,
+      reason: 'Approved leave',
+    });
+  }
+  if (result.rows.length > 0) {
+    const sessionResult = await client.query('SELECT id, class_id FROM sessions WHERE id = $1', [sessionId]);
+    await announceAttendanceChanges(client, sessionResult.rows[0], user, result.rows.map((row) => ({
+      student_id: row.student_id,
+      status: LEAVE_STATUS,
+      previous_status: null,
+    })));
+  }
+  return result.rows.length;
+}
+
+// --- Academic calendar ---
+const CALENDAR_DAY_TYPES = ['holiday', 'exam', 'non_instructional'];
+const CALENDAR_DAY_LABELS = { holiday: 'a holiday', exam: 'an exam day', non_instructional: 'a non-instructional day' };
+// Day types on which no sessions are held
+const NON_TEACHING_DAY_TYPES = ['holiday', 'non_instructional'];
+
+async function getCalendarDay(date, queryable = db) {
+  const result = await queryable.query('SELECT id, date, name, day_type FROM calendar_days WHERE date = $1', [date]);
+  return result.rows[0] || null;
+}
+
+const REPORT_GROUPINGS = ['week', 'month'];
+const REPORT_BREAKDOWNS = ['subject'];
+
+// Report period from the query string: an explicit from/to range, a term_id, or both
+// (the range is then clipped to the term), plus an optional week/month grouping.
+// subject_id limits the report to one subject and breakdown=subject splits it per subject.
+// Throws "Invalid ..." errors for bad input.
+async function resolveReportPeriod(query) {
+  const groupBy = query.group_by ? String(query.group_by) : null;
+  if (groupBy && !REPORT_GROUPINGS.includes(groupBy)) {
+    throw new Error(`Invalid group_by. Must be one of: ${REPORT_GROUPINGS.join(', ')}`);
+  }
+  const breakdown = query.breakdown ? String(query.breakdown) : null;
+  if (breakdown && !REPORT_BREAKDOWNS.includes(breakdown)) {
+    throw new Error(`Invalid breakdown. Must be one of: ${REPORT_BREAKDOWNS.join(', ')}`);
+  }
+
+  let subject = null;
+  if (query.subject_id) {
+    const subjectId = validateInteger(query.subject_id, 'subject_id');
+    const result = await db.query('SELECT id, name, code, min_percentage FROM subjects WHERE id = $1', [subjectId]);
+    if (result.rows.length === 0) {
+      throw new Error('Invalid subject_id: subject does not exist');
+    }
+    subject = result.rows[0];
+  }
+
+  let from = query.from ? validateDate(String(query.from)) : null;
+  let to = query.to ? validateDate(String(query.to)) : null;
+  let term = null;
+
+  if (query.term_id) {
+    const termId = validateInteger(query.term_id, 'term_id');
+    const result = await db.query('SELECT id, name, start_date, end_date FROM academic_terms WHERE id = $1', [termId]);
+    if (result.rows.length === 0) {
+      throw new Error('Invalid term_id: term does not exist');
+    }
+    term = result.rows[0];
+    const termStart = toDateString(term.start_date);
+    const termEnd = toDateString(term.end_date);
+    from = from && from > termStart ? from : termStart;
+    to = to && to < termEnd ? to : termEnd;
+  }
+
+  if (from && to && from > to) {
+    throw new Error('Invalid date range: from must be on or before to');
+  }
+  return { from, to, term, group_by: groupBy, subject, breakdown };
+}
+
+// Date (and subject) conditions on a sessions alias for report queries, using '?' placeholders.
+function periodConditions(alias, period) {
+  let sql = '';
+  const params = [];
+  if (period.subject) {
+    sql += ` AND ${alias}.subject_id = ?`;
+    params.push(period.subject.id);
+  }
+  if (period.from) {
+    sql += ` AND ${alias}.date >= ?`;
+    params.push(period.from);
+  }
+  if (period.to) {
+    sql += ` AND ${alias}.date <= ?`;
+    params.push(period.to);
+  }
+  return { sql, params };
+}
+
+// Grouped aggregates: drop the rows of students with nothing in the period (no period_start)
+// and label the rest
+function labelGroupedRows(rows, period) {
+  if (!period.group_by) {
+    return rows;
+  }
+  return rows
+    .filter((r) => r.period_start)
+    .map((r) => {
+      const start = toDateString(r.period_start);
+      return Object.assign({}, r, { period_start: start, period_label: groupPeriodLabel(start, period.group_by) });
+    });
+}
+
+// First day of the week (Monday, as date_trunc uses) or month containing a YYYY-MM-DD date
+function groupPeriodStart(dateString, groupBy) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  if (groupBy === 'month') {
+    date.setUTCDate(1);
+  } else {
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() || 7) - 1));
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+function groupPeriodLabel(periodStart, groupBy) {
+  return groupBy === 'month' ? periodStart.slice(0, 7) : `Week of ${periodStart}`;
+}
+
+// Add one student report row to a bucket's weighted totals
+function addToReportGroup(group, r) {
+  if (r.counts_in_total === true) {
+    group.total += 1;
+    group.presents += Number(r.weight) || 0;
+  } else if (r.counts_in_total === false) {
+    group.excused += 1;
+  }
+  group.records.push(r);
+}
+
+// Split a student's report rows into week/month buckets, each with its own weighted totals
+function groupStudentReportRows(rows, groupBy) {
+  const groups = new Map();
+  rows.forEach((r) => {
+    const start = groupPeriodStart(toDateString(r.date), groupBy);
+    if (!groups.has(start)) {
+      groups.set(start, {
+        period_start: start,
+        period_label: groupPeriodLabel(start, groupBy),
+        total: 0,
+        presents: 0,
+        excused: 0,
+        records: [],
+      });
+    }
+    addToReportGroup(groups.get(start), r);
+  });
+  return Array.from(groups.values()).map((g) =>
+    Object.assign(g, { absents: g.total - g.presents, percent: attendancePercent(g.presents, g.total) })
+  );
+}
+
+// Split a student's report rows per subject (untagged sessions last), each with its totals and
+// whether it falls below the subject's minimum. With groupBy each subject is split again.
+function groupStudentReportRowsBySubject(rows, groupBy) {
+  const groups = new Map();
+  rows.forEach((r) => {
+    const key = r.subject_id || 0;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        subject_id: r.subject_id || null,
+        subject_name: r.subject_name || null,
+        min_percentage: r.min_percentage === null || r.min_percentage === undefined ? null : Number(r.min_percentage),
+        total: 0,
+        presents: 0,
+        excused: 0,
+        records: [],
+      });
+    }
+    addToReportGroup(groups.get(key), r);
+  });
+  return Array.from(groups.values())
+    .sort((a, b) => (a.subject_id ? 0 : 1) - (b.subject_id ? 0 : 1) || String(a.subject_name).localeCompare(String(b.subject_name)))
+    .map((g) => {
+      const percent = attendancePercent(g.presents, g.total);
+      Object.assign(g, {
+        absents: g.total - g.presents,
+        percent,
+        below_minimum: belowMinimum(percent, g.total, g.min_percentage),
+      });
+      if (groupBy) {
+        g.periods = groupStudentReportRows(g.records, groupBy);
+        delete g.records;
+      }
+      return g;
+    });
+}
+
+function subjectLabel(r) {
+  return r.subject_name || 'No subject';
+}
+
+// Export file names carry the period, e.g. class-3-summary-2026-09-01-to-2026-09-30-by-week
+function reportFileLabel(base, period) {
+  const parts = [base];
+  if (period.from || period.to) {
+    parts.push(`${period.from || 'start'}-to-${period.to || 'latest'}`);
+  }
+  if (period.subject) {
+    parts.push(`subject-${period.subject.id}`);
+  }
+  if (period.group_by) {
+    parts.push(`by-${period.group_by}`);
+  }
+  if (period.breakdown) {
+    parts.push(`by-${period.breakdown}`);
+  }
+  return parts.join('-');
+}
+
+// Human-readable period line for export headers
+function describeReportPeriod(period) {
+  let text = 'All dates';
+  if (period.from || period.to) {
+    text = `${period.from || 'start'} to ${period.to || 'latest'}`;
+  }
+  if (period.term) {
+    text = `${period.term.name} (${text})`;
+  }
+  if (period.subject) {
+    text += `, ${period.subject.name} only`;
+  }
+  if (period.group_by) {
+    text += `, grouped by ${period.group_by}`;
+  }
+  if (period.breakdown) {
+    text += `, per ${period.breakdown}`;
+  }
+  return text;
+}
+
+// --- Timetable ---
+// Maximum span of one generate call, to keep a typo from creating years of sessions
+const TIMETABLE_MAX_DAYS = 366;
+
+function validateTime(value, fieldName) {
+  if (!/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(String(value))) {
+    throw new Error(`Invalid ${fieldName}. Use HH:MM`);
+  }
+  return String(value).slice(0, 5);
+}
+
+// Number of days from `from` to `to` inclusive (0 or less when to is before from). Check it
+// against TIMETABLE_MAX_DAYS before calling eachDate, which builds one entry per day.
+function daySpan(from, to) {
+  return (Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000 + 1;
+}
+
+// Every YYYY-MM-DD date from `from` to `to` inclusive, with its ISO weekday (1 = Monday).
+function eachDate(from, to) {
+  const days = [];
+  const cursor = new Date(`${from}T00:00:00Z`);
+  const end = new Date(`${to}T00:00:00Z`);
+  while (cursor <= end) {
+    days.push({ date: cursor.toISOString().slice(0, 10), weekday: cursor.getUTCDay() || 7 });
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+  return days;
+}
+
+function buildTimetableSlotValues(body, existing = {}) {
+  const merged = Object.assign({}, existing, body);
+
+  if (!merged.class_id || !merged.weekday || !merged.subject) {
+    throw new Error('class_id, weekday and subject are required');
+  }
+  const weekday = parseInt(merged.weekday, 10);
+  if (isNaN(weekday) || weekday < 1 || weekday > 7) {
+    throw new Error('Invalid weekday: use 1 (Monday) to 7 (Sunday)');
+  }
+
+  const startTime = merged.start_time ? validateTime(merged.start_time, 'start_time') : null;
+  const endTime = merged.end_time ? validateTime(merged.end_time, 'end_time') : null;
+  if (startTime && endTime && startTime >= endTime) {
+    throw new Error('start_time must be before end_time');
+  }
+
+  return {
+    class_id: validateInteger(merged.class_id, 'class_id'),
+    weekday,
+    period: merged.period ? validateInteger(merged.period, 'period') : null,
+    start_time: startTime,
+    end_time: endTime,
+    subject: String(merged.subject).trim(),
+    subject_id: merged.subject_id ? validateInteger(merged.subject_id, 'subject_id') : null,
+    teacher_id: merged.teacher_id ? validateInteger(merged.teacher_id, 'teacher_id') : null,
+    active: merged.active !== false,
+  };
+}
+
+// --- Session times ---
+// A session can have a period number, a start/end time, or both. Two sessions of the same
+// class on the same day overlap when they share a period or their time ranges intersect;
+// sessions without a period or times cannot be told apart and never conflict.
+function buildSessionTimes(merged) {
+  const period = merged.period ? validateInteger(merged.period, 'period') : null;
+  const startTime = merged.start_time ? validateTime(merged.start_time, 'start_time') : null;
+  const endTime = merged.end_time ? validateTime(merged.end_time, 'end_time') : null;
+  if (!startTime !== !endTime) {
+    throw new Error('Invalid times: start_time and end_time must be given together');
+  }
+  if (startTime && startTime >= endTime) {
+    throw new Error('Invalid times: start_time must be before end_time');
+  }
+  return { period, start_time: startTime, end_time: endTime };
+}
+
+// First session of the class on that date that overlaps the given times, or null.
+// excludeId skips the session being edited.
+async function findSessionOverlap(classId, date, times, excludeId = null, queryable = db) {
+  if (!times.period && !times.start_time) return null;
+  const result = await queryable.query(
+    `SELECT id, date, topic, period, start_time, end_time
+     FROM sessions
+     WHERE class_id = $1 AND date = $2 AND id <> COALESCE($3::int, 0)
+       AND ((period IS NOT NULL AND period = $4::int)
+            OR (start_time IS NOT NULL AND end_time IS NOT NULL
+                AND start_time < $6::time AND end_time > $5::time))
+     ORDER BY start_time NULLS LAST, period NULLS LAST, id
+     LIMIT 1`,
+    [classId, date, excludeId, times.period, times.start_time, times.end_time]
+  );
+  return result.rows[0] || null;
+}
+
+// "period 3, 09:00-09:45" for messages and exports; empty when the session has neither
+function sessionTimeLabel(session) {
+  const parts = [];
+  if (session.period) {
+    parts.push(`period ${session.period}`);
+  }
+  if (session.start_time && session.end_time) {
+    parts.push(`${String(session.start_time).slice(0, 5)}-${String(session.end_time).slice(0, 5)}`);
+  }
+  return parts.join(', ');
+}
+
+function sessionOverlapMessage(conflict) {
+  const label = sessionTimeLabel(conflict);
+  const topic = conflict.topic ? ` (${conflict.topic})` : '';
+  return `The class already has a session at ${label} on ${toDateString(conflict.date)}${topic}`;
+}
+
+// --- Export helpers ---
+function csvEscape(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  if (/[",\n]/.test(str)) {
+    return '"' + str.replace(/"/g, '""') + '"';
+  }
+  return str;
+}
+
+// Minimal RFC 4180 parser (the counterpart of csvEscape): quoted fields, doubled
+// quotes and newlines inside quotes. Returns an array of rows, each an array of strings.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((r) => r.some((value) => value.trim() !== ''));
+}
+
+function sendCsv(res, filename, headerColumns, rows) {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  const headerLine = headerColumns.join(',') + '\n';
+  const bodyLines = rows.map((cols) => cols.map(csvEscape).join(',')).join('\n');
+  res.send(headerLine + bodyLines);
+}
+
+// With period.group_by set, a leading Period column names each row's week or month
+function sendStudentReportCsv(res, rows, label = 'student-report', period = {}) {
+  const filename = `${label}.csv`;
+  const csvRows = rows.map((r) => {
+    const cols = [toDateString(r.date), sessionTimeLabel(r), r.class_name, r.subject_name || '', r.topic || '', r.status];
+    if (period.group_by) {
+      cols.unshift(groupPeriodLabel(groupPeriodStart(toDateString(r.date), period.group_by), period.group_by));
+    }
+    return cols;
+  });
+  const header = ['Date', 'Time', 'Class', 'Subject', 'Topic', 'Status'];
+  sendCsv(res, filename, period.group_by ? ['Period', ...header] : header, csvRows);
+}
+
+// Grouped summaries carry a period_label per row (see the summary-by-class export route);
+// a per-subject breakdown adds the subject and its required percentage
+function sendClassSummaryCsv(res, rows, label = 'class-summary', period = {}) {
+  const filename = `${label}.csv`;
+  const bySubject = period.breakdown === 'subject';
+  const csvRows = rows.map((r) => {
+    const total = r.total || 0;
+    const presents = r.presents || 0;
+    const percent = attendancePercent(presents, total);
+    const cols = [r.student_name, r.roll_number || '', formatCount(presents), formatCount(total), percent, r.unmarked || 0];
+    if (bySubject) {
+      cols.splice(2, 0, subjectLabel(r));
+      cols.push(r.min_percentage === null ? '' : r.min_percentage, r.below_minimum ? 'Yes' : 'No');
+    }
+    if (period.group_by) {
+      cols.unshift(r.period_label || '');
+    }
+    return cols;
+  });
+  const header = bySubject
+    ? ['Student', 'Roll', 'Subject', 'Presents', 'Total', 'Percent', 'Unmarked', 'Required Percent', 'Below Required']
+    : ['Student', 'Roll', 'Presents', 'Total', 'Percent', 'Unmarked'];
+  sendCsv(res, filename, period.group_by ? ['Period', ...header] : header, csvRows);
+}
+
+function sendAttendanceHistoryCsv(res, rows, label = 'attendance-history') {
+  const filename = `${label}.csv`;
+  const csvRows = rows.map((r) => [
+    new Date(r.changed_at).toISOString(),
+    r.student_name || `#${r.student_id}`,
+    r.roll_number || '',
+    r.old_status || '',
+    r.new_status,
+    r.changed_by_name || '',
+    r.reason || '',
+  ]);
+  sendCsv(res, filename, ['Changed At', 'Student', 'Roll', 'Old Status', 'New Status', 'Changed By', 'Reason'], csvRows);
+}
+
+function sendAttendanceHistoryPdf(res, rows, options = {}) {
+  const filename = options.filename || 'attendance-history.pdf';
+  const title = options.title || 'Attendance Change Log';
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  const doc = new PDFDocument({ margin: 40, size: 'A4' });
+  doc.pipe(res);
+
+  doc.fontSize(18).text(title, { align: 'center' });
+  doc.moveDown();
+
+  doc.fontSize(11);
+  rows.forEach((r) => {
+    const change = `${r.old_status ? String(r.old_status).toUpperCase() : '(new)'} -> ${String(r.new_status).toUpperCase()}`;
+    doc.text(`${new Date(r.changed_at).toISOString()}  |  ${r.student_name || '#' + r.student_id}  |  ${change}  |  ${r.changed_by_name || ''}`);
+  });
+
+  doc.end();
+}
+
+function sendStudentReportPdf(res, rows, options = {}) {
+  const filename = options.filename || 'student-report.pdf';
+  const title = options.title || 'Student Attendance Report';
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  const doc = new PDFDocument({ margin: 40, size: 'A4' });
+  doc.pipe(res);
+
+  doc.fontSize(18).text(title, { align: 'center' });
+  if (options.period) {
+    doc.fontSize(10).text(`Period: ${describeReportPeriod(options.period)}`, { align: 'center' });
+  }
+  doc.moveDown();
+
+  const writeRow = (r) => {
+    const time = sessionTimeLabel(r);
+    const subject = r.subject_name ? `${r.subject_name}  |  ` : '';
+    doc.text(`${toDateString(r.date)}${time ? ` (${time})` : ''}  |  ${r.class_name}  |  ${subject}${(r.topic || '')}  |  ${String(r.status).toUpperCase()}`);
+  };
+
+  const groupBy = options.period ? options.period.group_by : null;
+  const writeRows = (records) => {
+    if (groupBy) {
+      groupStudentReportRows(records, groupBy).forEach((group) => {
+        doc.moveDown(0.5);
+        doc.fontSize(12).text(
+          `${group.period_label} - ${formatCount(group.presents)}/${formatCount(group.total)} (${group.percent}%)`,
+          { underline: true }
+        );
+        doc.fontSize(11);
+        group.records.forEach(writeRow);
+      });
+    } else {
+      records.forEach(writeRow);
+    }
+  };
+
+  doc.fontSize(11);
+  if (options.period && options.period.breakdown === 'subject') {
+    groupStudentReportRowsBySubject(rows).forEach((group) => {
+      const required = group.min_percentage === null ? '' : `, ${group.min_percentage}% required`;
+      doc.moveDown();
+      doc.fontSize(14).text(
+        `${subjectLabel(group)} - ${formatCount(group.presents)}/${formatCount(group.total)} (${group.percent}%${required})`
+      );
+      if (group.below_minimum) {
+        doc.fontSize(10).fillColor('red').text('Below the required attendance').fillColor('black');
+      }
+      doc.fontSize(11);
+      writeRows(group.records);
+    });
+  } else {
+    writeRows(rows);
+  }
+
+  doc.end();
+}
+
+function sendClassSummaryPdf(res, rows, options = {}) {
+  const filename = options.filename || 'class-summary.pdf';
+  const title = options.title || 'Class Attendance Summary';
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  const doc = new PDFDocument({ margin: 40, size: 'A4' });
+  doc.pipe(res);
+
+  doc.fontSize(18).text(title, { align: 'center' });
+  if (options.period) {
+    doc.fontSize(10).text(`Period: ${describeReportPeriod(options.period)}`, { align: 'center' });
+  }
+  if (options.denominator) {
+    doc.fontSize(10).text(`Percentages out of ${DENOMINATOR_LABELS[options.denominator]}`, { align: 'center' });
+  }
+  doc.moveDown();
+
+  doc.fontSize(11);
+  let currentPeriod = null;
+  rows.forEach((r) => {
+    // Grouped rows arrive ordered by period; start a heading whenever it changes
+    if (r.period_label && r.period_label !== currentPeriod) {
+      currentPeriod = r.period_label;
+      doc.moveDown(0.5);
+      doc.fontSize(12).text(currentPeriod, { underline: true });
+      doc.fontSize(11);
+    }
+    const total = r.total || 0;
+    const presents = r.presents || 0;
+    const percent = attendancePercent(presents, total);
+    const unmarked = r.unmarked ? `, ${r.unmarked} unmarked` : '';
+    const subject = r.subject_id !== undefined ? ` [${subjectLabel(r)}]` : '';
+    const below = r.below_minimum ? ` - below ${r.min_percentage}% required` : '';
+    doc.text(`${r.student_name} (${r.roll_number || ''})${subject} - ${formatCount(presents)}/${formatCount(total)} (${percent}%${unmarked})${below}`);
+  });
+
+  doc.end();
+}
+
+// --- Auth ---
+// Accounts flagged must_change_password get 403 with must_change_password: true until the
+// login also carries new_password; the password is then replaced before the session is created.
+app.post('/api/login', async (req, res) => {
+  const { username, password, role, new_password } = req.body;
+
+  if (!username || !password || !role) {
+    return res.status(400).json({ error: 'Username, password, and role are required' });
+  }
+
+  try {
+    const { sql, params } = convertPlaceholders(
+      'SELECT id, username, role, class_id, student_id, password, must_change_password FROM users WHERE username = ?',
+      [username]
+    );
+    const result = await db.query(sql, params);
+    const user = result.rows[0];
+
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    // Check password (support both hashed and plain text for migration)
+    const passwordMatch = await passwordMatches(user.password, password);
+    if (passwordMatch && !user.password.startsWith('$2')) {
+      // Plain text password (for migration): hash and update in database
+      const hashed = await bcrypt.hash(password, 10);
+      const { sql: updateSql, params: updateParams } = convertPlaceholders(
+        'UPDATE users SET password = ? WHERE id = ?',
+        [hashed, user.id]
+      );
+      await db.query(updateSql, updateParams);
+    }
+
+    if (!passwordMatch) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    if (String(user.role) !== String(role)) {
+      return res
+        .status(400)
+        .json({ error: 'Incorrect role selected. Please choose the correct role.' });
+    }
+
+    if (user.must_change_password) {
+      if (!new_password) {
+        return res.status(403).json({
+          error: 'Your password was set by an administrator. Choose a new password to continue.',
+          must_change_password: true,
+        });
+      }
+      try {
+        validateNewPassword(new_password, password);
+      } catch (validationErr) {
+        return res.status(400).json({ error: validationErr.message, must_change_password: true });
+      }
+      await setPassword(db, user.id, new_password, false);
+    }
+
+    const { token, user: sessionUser, expiresAt } = await createSession(user, req);
+    res.json({ message: 'Login successful', user: sessionUser, token, expiresAt });
+  } catch (err) {
+    return handleDbError(err, res, 'Login');
+  }
+});
+
+app.post('/api/logout', requireAuth, async (req, res) => {
+  try {
+    await db.query('DELETE FROM auth_sessions WHERE id = $1', [req.sessionId]);
+    res.json({ message: 'Logged out' });
+  } catch (err) {
+    return handleDbError(err, res, 'Logout');
+  }
+});
+
+app.get('/api/me', requireAuth, (req, res) => {
+  res.json({ user: req.user });
+});
+
+// Any role can change their own password; their other logins are signed out
+app.post('/api/me/password', requireAuth, async (req, res) => {
+  const { current_password, new_password } = req.body;
+  if (!current_password || !new_password) {
+    return res.status(400).json({ error: 'current_password and new_password are required' });
+  }
+  try {
+    validateNewPassword(new_password, current_password);
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const result = await db.query('SELECT password FROM users WHERE id = $1', [req.user.id]);
+    if (result.rows.length === 0 || !(await passwordMatches(result.rows[0].password, current_password))) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    await setPassword(db, req.user.id, new_password, false);
+    const revoked = await db.query('DELETE FROM auth_sessions WHERE user_id = $1 AND id <> $2', [req.user.id, req.sessionId]);
+    res.json({ message: 'Password changed', revoked_sessions: revoked.rowCount });
+  } catch (err) {
+    return handleDbError(err, res, 'Change password');
+  }
+});
+
+const SESSION_LIST_SQL = `
+  SELECT id, user_agent, created_at, last_seen_at, expires_at
+  FROM auth_sessions
+  WHERE user_id = $1 AND expires_at > NOW()
+  ORDER BY last_seen_at DESC
+`;
+
+// List the caller's active logins; the one making this request is flagged as current.
+app.get('/api/me/sessions', requireAuth, async (req, res) => {
+  try {
+    const result = await db.query(SESSION_LIST_SQL, [req.user.id]);
+    res.json(result.rows.map((row) => Object.assign(row, { current: row.id === req.sessionId })));
+  } catch (err) {
+    return handleDbError(err, res, 'Get my sessions');
+  }
+});
+
+app.delete('/api/me/sessions/:id', requireAuth, async (req, res) => {
+  let sessionId;
+  try {
+    sessionId = validateInteger(req.params.id, 'session id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const result = await db.query(
+      'DELETE FROM auth_sessions WHERE id = $1 AND user_id = $2 RETURNING id',
+      [sessionId, req.user.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ message: 'Session revoked' });
+  } catch (err) {
+    return handleDbError(err, res, 'Revoke session');
+  }
+});
+
+// Admin: inspect and force-logout any user's sessions
+app.get('/api/users/:id/sessions', requireAuth, requireRole('admin'), async (req, res) => {
+  let userId;
+  try {
+    userId = validateInteger(req.params.id, 'user id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const result = await db.query(SESSION_LIST_SQL, [userId]);
+    res.json(result.rows);
+  } catch (err) {
+    return handleDbError(err, res, 'Get user sessions');
+  }
+});
+
+app.delete('/api/users/:id/sessions', requireAuth, requireRole('admin'), async (req, res) => {
+  let userId;
+  try {
+    userId = validateInteger(req.params.id, 'user id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const result = await db.query('DELETE FROM auth_sessions WHERE user_id = $1', [userId]);
+    res.json({ message: 'User logged out', revoked: result.rowCount });
+  } catch (err) {
+    return handleDbError(err, res, 'Force logout');
+  }
+});
+
+// Admin: replace a user's password with a one-time password (shown once) and sign them out
+app.post('/api/users/:id/password-reset', requireAuth, requireRole('admin'), async (req, res) => {
+  let userId;
+  try {
+    userId = validateInteger(req.params.id, 'user id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    const userResult = await client.query('SELECT id, username, role FROM users WHERE id = $1 FOR UPDATE', [userId]);
+    if (userResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const password = generateOneTimePassword();
+    await setPassword(client, userId, password, true);
+    const revoked = await client.query('DELETE FROM auth_sessions WHERE user_id = $1', [userId]);
+    await client.query('COMMIT');
+
+    res.set('Cache-Control', 'no-store');
+    res.json(Object.assign({}, userResult.rows[0], { one_time_password: password, revoked_sessions: revoked.rowCount }));
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    return handleDbError(err, res, 'Reset password');
+  } finally {
+    client.release();
+  }
+});
+
+// --- Attendance statuses ---
+app.get('/api/attendance-statuses', requireAuth, async (req, res) => {
+  try {
+    const statuses = await getAttendanceStatuses();
+    res.json(statuses);
+  } catch (err) {
+    return handleDbError(err, res, 'Get attendance statuses');
+  }
+});
+
+app.post('/api/attendance-statuses', requireAuth, requireRole('admin'), async (req, res) => {
+  const { code, label, weight, counts_in_total, sort_order } = req.body;
+  if (!code || !label || weight === undefined) {
+    return res.status(400).json({ error: 'code, label and weight are required' });
+  }
+
+  const normalizedCode = String(code).trim().toLowerCase();
+  if (!/^[a-z][a-z0-9_]{0,19}$/.test(normalizedCode)) {
+    return res.status(400).json({ error: 'Invalid code: use up to 20 lowercase letters, digits or underscores' });
+  }
+
+  let weightNum;
+  try {
+    weightNum = validateStatusWeight(weight);
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const { sql, params } = convertPlaceholders(
+      `INSERT INTO attendance_statuses (code, label, weight, counts_in_total, sort_order)
+       VALUES (?, ?, ?, ?, ?)
+       RETURNING code, label, weight, counts_in_total, sort_order`,
+      [normalizedCode, label, weightNum, counts_in_total !== false, parseInt(sort_order, 10) || 0]
+    );
+    const result = await db.query(sql, params);
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(400).json({ error: 'A status with this code already exists' });
+    }
+    return handleDbError(err, res, 'Create attendance status');
+  }
+});
+
+app.put('/api/attendance-statuses/:code', requireAuth, requireRole('admin'), async (req, res) => {
+  const { label, weight, counts_in_total, sort_order } = req.body;
+
+  let weightNum = null;
+  if (weight !== undefined) {
+    try {
+      weightNum = validateStatusWeight(weight);
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
+    }
+  }
+
+  try {
+    const { sql, params } = convertPlaceholders(
+      `UPDATE attendance_statuses
+       SET label = COALESCE(?, label),
+           weight = COALESCE(?, weight),
+           counts_in_total = COALESCE(?, counts_in_total),
+           sort_order = COALESCE(?, sort_order)
+       WHERE code = ?
+       RETURNING code, label, weight, counts_in_total, sort_order`,
+      [
+        label || null,
+        weightNum,
+        typeof counts_in_total === 'boolean' ? counts_in_total : null,
+        sort_order !== undefined ? parseInt(sort_order, 10) || 0 : null,
+        req.params.code,
+      ]
+    );
+    const result = await db.query(sql, params);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Attendance status not found' });
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    return handleDbError(err, res, 'Update attendance status');
+  }
+});
+
+app.delete('/api/attendance-statuses/:code', requireAuth, requireRole('admin'), async (req, res) => {
+  if (CORE_STATUS_CODES.includes(req.params.code)) {
+    return res.status(400).json({ error: `The ${CORE_STATUS_CODES.join(', ')} statuses cannot be removed` });
+  }
+
+  try {
+    const { sql, params } = convertPlaceholders(
+      'DELETE FROM attendance_statuses WHERE code = ? RETURNING code',
+      [req.params.code]
+    );
+    const result = await db.query(sql, params);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Attendance status not found' });
+    }
+    res.json({ message: 'Attendance status deleted' });
+  } catch (err) {
+    // Foreign key violation: attendance rows still use this status
+    if (err.code === '23503') {
+      return res.status(400).json({ error: 'This status is used by existing attendance records' });
+    }
+    return handleDbError(err, res, 'Delete attendance status');
+  }
+});
+
+// --- Classes ---
+app.get('/api/classes', requireAuth, async (req, res) => {
+  try {
+    // Teachers only see the classes assigned to them
+    let sql = 'SELECT * FROM classes';
+    const params = [];
+    if (req.user.role === 'teacher') {
+      sql += ` WHERE id IN (${TEACHER_CLASS_IDS_SQL}$1)`;
+      params.push(req.user.id);
+    }
+    sql += ' ORDER BY name';
+    const result = await db.query(sql, params);
+    // Always return an array, even if empty
+    res.json(Array.isArray(result.rows) ? result.rows : []);
+  } catch (err) {
+    console.error('GET /api/classes error:', err);
+    return handleDbError(err, res, 'Get classes');
+  }
+});
+
+app.post('/api/classes', requireAuth, requireRole('admin'), async (req, res) => {
+  const { name, description } = req.body;
+  if (!name) {
+    return res.status(400).json({ error: 'Class name is required' });
+  }
+  try {
+    const { sql, params } = convertPlaceholders(
+      'INSERT INTO classes (name, description) VALUES (?, ?) RETURNING id, name, description',
+      [name, description || null]
+    );
+    const result = await db.query(sql, params);
+    if (!result.rows || result.rows.length === 0) {
+      return res.status(500).json({ error: 'Failed to create class: no data returned' });
+    }
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    console.error('POST /api/classes error:', err);
+    // Handle unique constraint violations (duplicate class name)
+    if (err.code === '23505' || /unique constraint|duplicate key/i.test(err.message)) {
+      return res.status(400).json({ error: 'A class with this name already exists' });
+    }
+    return handleDbError(err, res, 'Create class');
+  }
+});
+
+async function updateClass(req, res) {
+  let classId;
+  try {
+    classId = validateInteger(req.params.id, 'class id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const existingResult = await db.query('SELECT name, description FROM classes WHERE id = $1', [classId]);
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Class not found' });
+    }
+
+    let values;
+    try {
+      values = mergeForUpdate(req, existingResult.rows[0], ['name']);
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
+    }
+    if (!values.name) {
+      return res.status(400).json({ error: 'Class name is required' });
+    }
+
+    const { sql, params } = convertPlaceholders(
+      'UPDATE classes SET name = ?, description = ? WHERE id = ? RETURNING id, name, description',
+      [values.name, values.description || null, classId]
+    );
+    const result = await db.query(sql, params);
+    res.json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23505' || /unique constraint|duplicate key/i.test(err.message)) {
+      return res.status(400).json({ error: 'A class with this name already exists' });
+    }
+    return handleDbError(err, res, 'Update class');
+  }
+}
+
+app.put('/api/classes/:id', requireAuth, requireRole('admin'), updateClass);
+app.patch('/api/classes/:id', requireAuth, requireRole('admin'), updateClass);
+
+// Deleting a class removes its students and sessions, and with them their attendance.
+app.delete('/api/classes/:id', requireAuth, requireRole('admin'), async (req, res) => {
+  let classId;
+  try {
+    classId = validateInteger(req.params.id, 'class id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    if (!(await classExists(classId))) {
+      return res.status(404).json({ error: 'Class not found' });
+    }
+
+    const confirmed = await confirmAttendanceDelete(
+      req,
+      res,
+      `SELECT COUNT(*) AS count FROM attendance
+       WHERE session_id IN (SELECT id FROM sessions WHERE class_id = $1)
+          OR student_id IN (SELECT id FROM students WHERE class_id = $1)`,
+      [classId]
+    );
+    if (!confirmed) return;
+
+    await db.query('DELETE FROM classes WHERE id = $1', [classId]);
+    res.json({ message: 'Class deleted' });
+  } catch (err) {
+    return handleDbError(err, res, 'Delete class');
+  }
+});
+
+// --- Subjects ---
+const CLASS_SUBJECTS_SQL = `
+  SELECT subj.*, cs.teacher_id, COALESCE(u.display_name, u.username) AS teacher_name
+  FROM class_subjects cs
+  JOIN subjects subj ON subj.id = cs.subject_id
+  LEFT JOIN users u ON u.id = cs.teacher_id
+  WHERE cs.class_id = $1
+  ORDER BY subj.name
+`;
+
+// Everyone can list subjects (students need them to read their reports). ?class_id= lists
+// only the subjects taken by that class, with the teacher who teaches each one there.
+app.get('/api/subjects', requireAuth, async (req, res) => {
+  try {
+    if (!req.query.class_id) {
+      const result = await db.query('SELECT * FROM subjects ORDER BY name');
+      return res.json(result.rows);
+    }
+
+    let classId;
+    try {
+      classId = validateInteger(req.query.class_id, 'class_id');
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
+    }
+    if (!(await canAccessClass(req.user, classId))) {
+      return res.status(403).json({ error: CLASS_FORBIDDEN_MESSAGE });
+    }
+    const result = await db.query(CLASS_SUBJECTS_SQL, [classId]);
+    res.json(result.rows);
+  } catch (err) {
+    return handleDbError(err, res, 'Get subjects');
+  }
+});
+
+app.post('/api/subjects', requireAuth, requireRole('admin'), async (req, res) => {
+  let values;
+  try {
+    values = buildSubjectValues(req.body);
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const result = await db.query(
+      'INSERT INTO subjects (name, code, min_percentage) VALUES ($1, $2, $3) RETURNING *',
+      [values.name, values.code, values.min_percentage]
+    );
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(400).json({ error: 'A subject with this code already exists' });
+    }
+    return handleDbError(err, res, 'Create subject');
+  }
+});
+
+async function updateSubject(req, res) {
+  let subjectId;
+  try {
+    subjectId = validateInteger(req.params.id, 'subject id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const existingResult = await db.query('SELECT name, code, min_percentage FROM subjects WHERE id = $1', [subjectId]);
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Subject not found' });
+    }
+
+    let values;
+    try {
+      values = buildSubjectValues(mergeForUpdate(req, existingResult.rows[0], ['name']));
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
+    }
+
+    const result = await db.query(
+      'UPDATE subjects SET name = $1, code = $2, min_percentage = $3 WHERE id = $4 RETURNING *',
+      [values.name, values.code, values.min_percentage, subjectId]
+    );
+    res.json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(400).json({ error: 'A subject with this code already exists' });
+    }
+    return handleDbError(err, res, 'Update subject');
+  }
+}
+
+app.put('/api/subjects/:id', requireAuth, requireRole('admin'), updateSubject);
+app.patch('/api/subjects/:id', requireAuth, requireRole('admin'), updateSubject);
+
+// Sessions and timetable slots tagged with the subject keep their attendance and lose the tag
+app.delete('/api/subjects/:id', requireAuth, requireRole('admin'), async (req, res) => {
+  let subjectId;
+  try {
+    subjectId = validateInteger(req.params.id, 'subject id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const result = await db.query('DELETE FROM subjects WHERE id = $1 RETURNING id', [subjectId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Subject not found' });
+    }
+    res.json({ message: 'Subject deleted' });
+  } catch (err) {
+    return handleDbError(err, res, 'Delete subject');
+  }
+});
+
+app.get('/api/classes/:id/subjects', requireAuth, requireRole('admin', 'teacher'), async (req, res) => {
+  let classId;
+  try {
+    classId = validateInteger(req.params.id, 'class id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    if (!(await classExists(classId))) {
+      return res.status(404).json({ error: 'Class not found' });
+    }
+    if (!(await canAccessClass(req.user, classId))) {
+      return res.status(403).json({ error: CLASS_FORBIDDEN_MESSAGE });
+    }
+    const result = await db.query(CLASS_SUBJECTS_SQL, [classId]);
+    res.json(result.rows);
+  } catch (err) {
+    return handleDbError(err, res, 'Get class subjects');
+  }
+});
+
+// Add a subject to a class, or change who teaches it there. The teacher is also assigned to
+// the class so they can take its sessions.
+app.put('/api/classes/:id/subjects/:subjectId', requireAuth, requireRole('admin'), async (req, res) => {
+  let classId;
+  let subjectId;
+  let teacherId = null;
+  try {
+    classId = validateInteger(req.params.id, 'class id');
+    subjectId = validateInteger(req.params.subjectId, 'subject id');
+    if (req.body.teacher_id) {
+      teacherId = validateInteger(req.body.teacher_id, 'teacher_id');
+    }
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    if (!(await classExists(classId))) {
+      return res.status(404).json({ error: 'Class not found' });
+    }
+    const subjectResult = await db.query('SELECT id FROM subjects WHERE id = $1', [subjectId]);
+    if (subjectResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Subject not found' });
+    }
+    if (teacherId && !(await findTeacher(teacherId))) {
+      return res.status(400).json({ error: 'Invalid teacher_id: teacher does not exist' });
+    }
+
+    await db.query(
+      `INSERT INTO class_subjects (class_id, subject_id, teacher_id) VALUES ($1, $2, $3)
+       ON CONFLICT (class_id, subject_id) DO UPDATE SET teacher_id = EXCLUDED.teacher_id`,
+      [classId, subjectId, teacherId]
+    );
+    if (teacherId) {
+      await assignTeacherToClass(teacherId, classId);
+    }
+    res.json({ class_id: classId, subject_id: subjectId, teacher_id: teacherId });
+  } catch (err) {
+    return handleDbError(err, res, 'Set class subject');
+  }
+});
+
+// Sessions already tagged with the subject keep their tag
+app.delete('/api/classes/:id/subjects/:subjectId', requireAuth, requireRole('admin'), async (req, res) => {
+  let classId;
+  let subjectId;
+  try {
+    classId = validateInteger(req.params.id, 'class id');
+    subjectId = validateInteger(req.params.subjectId, 'subject id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const result = await db.query(
+      'DELETE FROM class_subjects WHERE class_id = $1 AND subject_id = $2 RETURNING subject_id',
+      [classId, subjectId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'The class does not take this subject' });
+    }
+    res.json({ message: 'Subject removed from class' });
+  } catch (err) {
+    return handleDbError(err, res, 'Remove class subject');
+  }
+});
+
+// --- Students ---
+app.get('/api/students', requireAuth, async (req, res) => {
+  const { class_id } = req.query;
+  const user = req.user;
+
+  try {
+    // Students can only see their own record.
+    if (user.role === 'student') {
+      if (!user.student_id) {
+        return res.json([]);
+      }
+      const { sql, params } = convertPlaceholders(
+        'SELECT * FROM students WHERE id = ? ORDER BY name',
+        [user.student_id]
+      );
+      const result = await db.query(sql, params);
+      return res.json(result.rows);
+    }
+
+    // Admins and teachers can list students, optionally filtered by class.
+    // Teachers are limited to their assigned classes.
+    let sql = 'SELECT * FROM students';
+    const params = [];
+    const where = [];
+
+    if (class_id) {
+      const classIdInt = validateInteger(class_id, 'class_id');
+      if (!(await canAccessClass(user, classIdInt))) {
+        return res.status(403).json({ error: CLASS_FORBIDDEN_MESSAGE });
+      }
+      where.push(`class_id = $${params.length + 1}`);
+      params.push(classIdInt);
+    } else if (user.role === 'teacher') {
+      where.push(`class_id IN (${TEACHER_CLASS_IDS_SQL}$${params.length + 1})`);
+      params.push(user.id);
+    }
+
+    if (where.length > 0) {
+      sql += ' WHERE ' + where.join(' AND ');
+    }
+
+    sql += ' ORDER BY name';
+    const result = await db.query(sql, params);
+    res.json(result.rows);
+  } catch (err) {
+    if (/^Invalid/.test(err.message)) {
+      return res.status(400).json({ error: err.message });
+    }
+    return handleDbError(err, res, 'Get students');
+  }
+});
+
+app.post('/api/students', requireAuth, requireRole('admin'), async (req, res) => {
+  const { name, roll_number, class_id } = req.body;
+  if (!name || !class_id) {
+    return res.status(400).json({ error: 'Student name and class_id are required' });
+  }
+
+  const classIdInt = parseInt(class_id, 10);
+  if (isNaN(classIdInt) || classIdInt <= 0) {
+    return res.status(400).json({ error: 'Invalid class_id' });
+  }
+
+  try {
+    // Validate class exists
+    const { sql: checkSql, params: checkParams } = convertPlaceholders(
+      'SELECT id FROM classes WHERE id = ?',
+      [classIdInt]
+    );
+    const checkResult = await db.query(checkSql, checkParams);
+    
+    if (checkResult.rows.length === 0) {
+      return res.status(400).json({ error: 'Invalid class_id: class does not exist' });
+    }
+
+    let enrolledFrom;
+    try {
+      enrolledFrom = resolveEnrollmentDate(req.body.enrolled_from, 'enrolled_from');
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
+    }
+
+    const client = await db.connect();
+    let student;
+    try {
+      await client.query('BEGIN');
+      const { sql, params } = convertPlaceholders(
+        'INSERT INTO students (name, roll_number, class_id) VALUES (?, ?, ?) RETURNING id',
+        [name, roll_number || null, classIdInt]
+      );
+      const result = await client.query(sql, params);
+      student = { id: result.rows[0].id, name, roll_number: roll_number || null, class_id: classIdInt };
+      await openEnrollment(client, student.id, classIdInt, enrolledFrom, 'enrolled', req.user.id);
+
+      await queueWebhookEvent(client, 'student.created', student);
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+    kickWebhookQueue();
+
+    res.status(201).json(Object.assign({ enrolled_from: enrolledFrom }, student));
+  } catch (err) {
+    return handleDbError(err, res, 'Add student');
+  }
+});
+
+// Bulk roster import from CSV.
+// Columns (header row required, case-insensitive): name, roll_number, and class_id or class_name.
+// Optional username / password columns are used when create_accounts is set.
+// The CSV may be posted as text/csv (options in the query string) or as JSON { csv, dry_run, create_accounts }.
+const STUDENT_IMPORT_HEADER_ALIASES = {
+  name: 'name',
+  student: 'name',
+  student_name: 'name',
+  roll: 'roll_number',
+  roll_no: 'roll_number',
+  roll_number: 'roll_number',
+  class: 'class_name',
+  class_name: 'class_name',
+  class_id: 'class_id',
+  username: 'username',
+  password: 'password',
+};
+
+app.post(
+  '/api/students/import',
+  requireAuth,
+  requireRole('admin'),
+  bodyParser.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+  async (req, res) => {
+    const isRawCsv = typeof req.body === 'string';
+    const options = isRawCsv ? req.query : Object.assign({}, req.query, req.body);
+    const csvText = isRawCsv ? req.body : req.body.csv;
+    const dryRun = String(options.dry_run) === 'true';
+    const createAccounts = String(options.create_accounts) === 'true';
+
+    if (!csvText || !String(csvText).trim()) {
+      return res.status(400).json({ error: 'CSV content is required' });
+    }
+
+    const table = parseCsv(csvText);
+    if (table.length < 2) {
+      return res.status(400).json({ error: 'CSV must contain a header row and at least one student' });
+    }
+
+    const columns = table[0].map((h) => STUDENT_IMPORT_HEADER_ALIASES[h.trim().toLowerCase().replace(/\s+/g, '_')] || null);
+    if (!columns.includes('name') || (!columns.includes('class_id') && !columns.includes('class_name'))) {
+      return res.status(400).json({ error: 'CSV header must include name and class_name or class_id columns' });
+    }
+
+    try {
+      const classResult = await db.query('SELECT id, name FROM classes');
+      const classesById = new Map(classResult.rows.map((c) => [c.id, c]));
+      const classesByName = new Map(classResult.rows.map((c) => [c.name.trim().toLowerCase(), c]));
+
+      // Roll numbers already taken, keyed by "classId:roll"
+      const rollResult = await db.query('SELECT class_id, roll_number FROM students WHERE roll_number IS NOT NULL');
+      const takenRolls = new Set(rollResult.rows.map((r) => `${r.class_id}:${String(r.roll_number).trim().toLowerCase()}`));
+
+      const takenUsernames = new Set();
+      if (createAccounts) {
+        const userResult = await db.query('SELECT username FROM users');
+        userResult.rows.forEach((u) => takenUsernames.add(u.username.toLowerCase()));
+      }
+
+      const students = [];
+      const errors = [];
+
+      table.slice(1).forEach((cells, index) => {
+        const line = index + 2;
+        const raw = {};
+        columns.forEach((col, i) => {
+          if (col) raw[col] = (cells[i] || '').trim();
+        });
+        const rowErrors = [];
+
+        if (!raw.name) {
+          rowErrors.push('name is required');
+        }
+
+        let cls = null;
+        if (raw.class_id) {
+          cls = classesById.get(parseInt(raw.class_id, 10)) || null;
+          if (!cls) rowErrors.push(`unknown class_id "${raw.class_id}"`);
+        } else if (raw.class_name) {
+          cls = classesByName.get(raw.class_name.toLowerCase()) || null;
+          if (!cls) rowErrors.push(`unknown class "${raw.class_name}"`);
+        } else {
+          rowErrors.push('class_name or class_id is required');
+        }
+
+        if (cls && raw.roll_number) {
+          const rollKey = `${cls.id}:${raw.roll_number.toLowerCase()}`;
+          if (takenRolls.has(rollKey)) {
+            rowErrors.push(`duplicate roll number "${raw.roll_number}" in ${cls.name}`);
+          } else {
+            takenRolls.add(rollKey);
+          }
+        }
+
+        if (createAccounts) {
+          if (!raw.username) {
+            rowErrors.push('username is required when creating accounts');
+          } else if (raw.username.length < 3 || raw.username.length > 50) {
+            rowErrors.push('username must be between 3 and 50 characters');
+          } else if (takenUsernames.has(raw.username.toLowerCase())) {
+            rowErrors.push(`username "${raw.username}" already exists`);
+          } else {
+            takenUsernames.add(raw.username.toLowerCase());
+          }
+        }
+
+        if (rowErrors.length > 0) {
+          errors.push({ line, errors: rowErrors });
+        } else {
+          students.push({
+            line,
+            name: raw.name,
+            roll_number: raw.roll_number || null,
+            class_id: cls.id,
+            class_name: cls.name,
+            username: raw.username || null,
+            password: raw.password || null,
+          });
+        }
+      });
+
+      const summary = {
+        dry_run: dryRun,
+        total_rows: table.length - 1,
+        valid_rows: students.length,
+        errors,
+      };
+
+      if (dryRun) {
+        return res.json(Object.assign(summary, {
+          students: students.map(({ password, ...rest }) => rest),
+        }));
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json(Object.assign(summary, {
+          error: 'CSV contains invalid rows; nothing was imported',
+        }));
+      }
+
+      const client = await db.connect();
+      const created = [];
+      try {
+        await client.query('BEGIN');
+
+        for (const student of students) {
+          const insertResult = await client.query(
+            'INSERT INTO students (name, roll_number, class_id) VALUES ($1, $2, $3) RETURNING id',
+            [student.name, student.roll_number, student.class_id]
+          );
+          const entry = {
+            line: student.line,
+            id: insertResult.rows[0].id,
+            name: student.name,
+            roll_number: student.roll_number,
+            class_id: student.class_id,
+          };
+          await openEnrollment(client, entry.id, student.class_id, todayDateString(), 'enrolled', req.user.id);
+          await queueWebhookEvent(client, 'student.created', {
+            id: entry.id,
+            name: entry.name,
+            roll_number: entry.roll_number,
+            class_id: entry.class_id,
+          });
+
+          if (createAccounts) {
+            // Passwords not supplied in the CSV are generated, returned once and must be changed at first login
+            const password = student.password || generateOneTimePassword();
+            const hashedPassword = await bcrypt.hash(password, 10);
+            await client.query(
+              `INSERT INTO users (username, password, role, display_name, class_id, student_id, must_change_password)
+               VALUES ($1, $2, 'student', $3, $4, $5, $6)`,
+              [student.username, hashedPassword, student.name, student.class_id, entry.id, !student.password]
+            );
+            entry.username = student.username;
+            if (!student.password) entry.generated_password = password;
+          }
+
+          created.push(entry);
+        }
+
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw err;
+      } finally {
+        client.release();
+      }
+      kickWebhookQueue();
+
+      res.status(201).json(Object.assign(summary, { created }));
+    } catch (err) {
+      if (err.code === '23505') {
+        return res.status(400).json({ error: 'Import conflicts with existing data (duplicate username)' });
+      }
+      return handleDbError(err, res, 'Import students');
+    }
+  }
+);
+
+async function updateStudent(req, res) {
+  let studentId;
+  try {
+    studentId = validateInteger(req.params.id, 'student id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const existingResult = await db.query(
+      'SELECT name, roll_number, class_id FROM students WHERE id = $1',
+      [studentId]
+    );
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    let values;
+    try {
+      values = mergeForUpdate(req, existingResult.rows[0], ['name', 'class_id']);
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
+    }
+    if (!values.name || !values.class_id) {
+      return res.status(400).json({ error: 'Student name and class_id are required' });
+    }
+
+    const classIdInt = parseInt(values.class_id, 10);
+    if (isNaN(classIdInt) || classIdInt <= 0) {
+      return res.status(400).json({ error: 'Invalid class_id' });
+    }
+    if (!(await classExists(classIdInt))) {
+      return res.status(400).json({ error: 'Invalid class_id: class does not exist' });
+    }
+
+    // A new class_id is a transfer from today; use the transfer route to backdate it
+    const client = await db.connect();
+    let result;
+    try {
+      await client.query('BEGIN');
+      if (classIdInt !== existingResult.rows[0].class_id) {
+        await transferStudent(client, studentId, classIdInt, todayDateString(), 'transfer', req.user.id);
+      }
+      const { sql, params } = convertPlaceholders(
+        'UPDATE students SET name = ?, roll_number = ? WHERE id = ? RETURNING id, name, roll_number, class_id',
+        [values.name, values.roll_number || null, studentId]
+      );
+      result = await client.query(sql, params);
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      if (/^Invalid/.test(err.message)) {
+        return res.status(400).json({ error: err.message });
+      }
+      throw err;
+    } finally {
+      client.release();
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    return handleDbError(err, res, 'Update student');
+  }
+}
+
+app.put('/api/students/:id', requireAuth, requireRole('admin'), updateStudent);
+app.patch('/api/students/:id', requireAuth, requireRole('admin'), updateStudent);
+
+app.delete('/api/students/:id', requireAuth, requireRole('admin'), async (req, res) => {
+  let studentId;
+  try {
+    studentId = validateInteger(req.params.id, 'student id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const existingResult = await db.query('SELECT id FROM students WHERE id = $1', [studentId]);
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const confirmed = await confirmAttendanceDelete(
+      req,
+      res,
+      'SELECT COUNT(*) AS count FROM attendance WHERE student_id = $1',
+      [studentId]
+    );
+    if (!confirmed) return;
+
+    await db.query('DELETE FROM students WHERE id = $1', [studentId]);
+    res.json({ message: 'Student deleted' });
+  } catch (err) {
+    return handleDbError(err, res, 'Delete student');
+  }
+});
+
+// --- Enrollments ---
+app.get('/api/students/:id/enrollments', requireAuth, async (req, res) => {
+  let studentId;
+  try {
+    studentId = validateInteger(req.params.id, 'student id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const studentResult = await db.query('SELECT id FROM students WHERE id = $1', [studentId]);
+    if (studentResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+    if (!(await canAccessStudent(req.user, studentId))) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    const result = await db.query(
+      `SELECT e.*, c.name AS class_name
+       FROM enrollments e
+       JOIN classes c ON c.id = e.class_id
+       WHERE e.student_id = $1
+       ORDER BY e.effective_from DESC, e.id DESC`,
+      [studentId]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    return handleDbError(err, res, 'Get enrollments');
+  }
+});
+
+// Transfers (changing section mid-term) and promotions (moving up a year) work the same way;
+// the reason is kept on the enrollment. effective_date defaults to today.
+async function moveStudent(req, res, reason) {
+  let studentId;
+  let classId;
+  let effectiveDate;
+  try {
+    studentId = validateInteger(req.params.id, 'student id');
+    classId = validateInteger(req.body.class_id, 'class_id');
+    effectiveDate = resolveEnrollmentDate(req.body.effective_date, 'effective_date');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    const studentResult = await client.query('SELECT id, class_id FROM students WHERE id = $1 FOR UPDATE', [studentId]);
+    if (studentResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Student not found' });
+    }
+    if (!(await classExists(classId, client))) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Invalid class_id: class does not exist' });
+    }
+
+    let move;
+    try {
+      move = await transferStudent(client, studentId, classId, effectiveDate, reason, req.user.id);
+    } catch (moveErr) {
+      if (/^Invalid/.test(moveErr.message)) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: moveErr.message });
+      }
+      throw moveErr;
+    }
+
+    await queueWebhookEvent(client, 'student.transferred', {
+      student_id: studentId,
+      from_class_id: studentResult.rows[0].class_id,
+      to_class_id: classId,
+      effective_date: effectiveDate,
+      reason,
+    });
+    await client.query('COMMIT');
+    kickWebhookQueue();
+
+    const body = { student_id: studentId, enrollment: move.enrollment, previous_enrollment: move.previous };
+    if (move.marks_outside_enrollment > 0) {
+      body.warning = `${move.marks_outside_enrollment} attendance marks in other classes on or after ${effectiveDate} no longer count toward any class report`;
+    }
+    res.status(201).json(body);
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    return handleDbError(err, res, reason === 'promotion' ? 'Promote student' : 'Transfer student');
+  } finally {
+    client.release();
+  }
+}
+
+app.post('/api/students/:id/transfer', requireAuth, requireRole('admin'), (req, res) => moveStudent(req, res, 'transfer'));
+app.post('/api/students/:id/promote', requireAuth, requireRole('admin'), (req, res) => moveStudent(req, res, 'promotion'));
+
+// --- Year-end rollover ---
+// Body: { mappings: [{ from_class_id, to_class_id | to_class_name, to_description }],
+//         exceptions: [{ student_id, action: 'hold_back' | 'move', class_id }], effective_date, dry_run }
+// Send dry_run: true first to preview the changes; ids of classes a dry run would create are null.
+app.post('/api/rollover', requireAuth, requireRole('admin'), async (req, res) => {
+  let plan;
+  try {
+    plan = buildRolloverPlan(req.body || {});
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+  const dryRun = req.body.dry_run === true || String(req.body.dry_run) === 'true';
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    const summary = await runRollover(client, plan, req.user.id);
+
+    if (dryRun) {
+      await client.query('ROLLBACK');
+      const createdIds = new Set(summary.classes.filter((c) => c.created).map((c) => c.to_class_id));
+      summary.classes.forEach((c) => {
+        if (c.created) c.to_class_id = null;
+      });
+      summary.moves.forEach((mv) => {
+        if (createdIds.has(mv.to_class_id)) mv.to_class_id = null;
+      });
+      return res.json(Object.assign({ dry_run: true }, summary));
+    }
+
+    await client.query('COMMIT');
+    kickWebhookQueue();
+    res.status(201).json(summary);
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    if (/^Invalid/.test(err.message)) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (err.code === '23505') {
+      return res.status(400).json({ error: 'A class with this name already exists' });
+    }
+    return handleDbError(err, res, 'Year-end rollover');
+  } finally {
+    client.release();
+  }
+});
+
+// --- Student accounts ---
+// Admins create the logins students use, one at a time or for a whole class. Each account gets
+// a one-time password, returned only in this response, which must be changed at first login.
+const STUDENT_ACCOUNT_SQL = "SELECT id, username FROM users WHERE student_id = $1 AND role = 'student'";
+
+// "Aditya Kumar" (id 7) -> "aditya.kumar.7"; the id keeps it unique
+function defaultStudentUsername(student) {
+  const base = String(student.name).toLowerCase().replace(/[^a-z0-9]+/g, '.').replace(/^\.+|\.+$/g, '').slice(0, 40);
+  return `${base || 'student'}.${student.id}`;
+}
+
+async function provisionStudentAccount(queryable, student, username) {
+  const password = generateOneTimePassword();
+  const hashedPassword = await bcrypt.hash(password, 10);
+  const result = await queryable.query(
+    `INSERT INTO users (username, password, role, display_name, class_id, student_id, must_change_password)
+     VALUES ($1, $2, 'student', $3, $4, $5, TRUE)
+     RETURNING id`,
+    [username, hashedPassword, student.name, student.class_id, student.id]
+  );
+  return {
+    user_id: result.rows[0].id,
+    student_id: student.id,
+    student_name: student.name,
+    username,
+    one_time_password: password,
+  };
+}
+
+app.post('/api/students/:id/account', requireAuth, requireRole('admin'), async (req, res) => {
+  let studentId;
+  try {
+    studentId = validateInteger(req.params.id, 'student id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const studentResult = await db.query('SELECT id, name, class_id FROM students WHERE id = $1', [studentId]);
+    const student = studentResult.rows[0];
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+    const existing = await db.query(STUDENT_ACCOUNT_SQL, [studentId]);
+    if (existing.rows.length > 0) {
+      return res.status(409).json({ error: 'This student already has an account', username: existing.rows[0].username });
+    }
+
+    const username = req.body.username ? String(req.body.username).trim() : defaultStudentUsername(student);
+    if (username.length < 3 || username.length > 50) {
+      return res.status(400).json({ error: 'username must be between 3 and 50 characters' });
+    }
+
+    const account = await provisionStudentAccount(db, student, username);
+    res.set('Cache-Control', 'no-store');
+    res.status(201).json(account);
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'This username is already taken' });
+    }
+    return handleDbError(err, res, 'Create student account');
+  }
+});
+
+// Every student of the class without an account gets one; the others are reported as skipped
+app.post('/api/classes/:id/student-accounts', requireAuth, requireRole('admin'), async (req, res) => {
+  let classId;
+  try {
+    classId = validateInteger(req.params.id, 'class id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  const client = await db.connect();
+  try {
+    if (!(await classExists(classId, client))) {
+      return res.status(404).json({ error: 'Class not found' });
+    }
+
+    await client.query('BEGIN');
+    const studentsResult = await client.query(
+      `SELECT st.id, st.name, st.class_id, u.username
+       FROM students st
+       LEFT JOIN users u ON u.student_id = st.id AND u.role = 'student'
+       WHERE st.class_id = $1
+       ORDER BY st.name, st.id`,
+      [classId]
+    );
+    const pending = studentsResult.rows.filter((st) => !st.username);
+    const usernames = pending.map(defaultStudentUsername);
+
+    const takenResult = await client.query('SELECT username FROM users WHERE username = ANY($1::text[])', [usernames]);
+    if (takenResult.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: 'Some generated usernames are already taken; create those accounts individually with a username',
+        usernames: takenResult.rows.map((r) => r.username),
+      });
+    }
+
+    const accounts = [];
+    for (let i = 0; i < pending.length; i++) {
+      accounts.push(await provisionStudentAccount(client, pending[i], usernames[i]));
+    }
+    await client.query('COMMIT');
+
+    res.set('Cache-Control', 'no-store');
+    res.status(201).json({
+      created: accounts.length,
+      skipped: studentsResult.rows
+        .filter((st) => st.username)
+        .map((st) => ({ student_id: st.id, student_name: st.name, username: st.username })),
+      accounts,
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    return handleDbError(err, res, 'Create class student accounts');
+  } finally {
+    client.release();
+  }
+});
+
+// --- Teachers ---
+// Teachers are stored in the users table with role = 'teacher'.
+// These endpoints let admins list and create teacher accounts.
+app.get('/api/teachers', requireAuth, requireRole('admin'), async (req, res) => {
+  const { class_id } = req.query;
+
+  try {
+    let sql = `
+      SELECT u.id,
+             u.username,
+             u.display_name,
+             u.class_id,
+             u.email,
+             u.phone,
+             u.subject,
+             u.experience,
+             c.name AS class_name,
+             ARRAY(SELECT tc.class_id FROM teacher_classes tc WHERE tc.teacher_id = u.id ORDER BY tc.class_id) AS class_ids
+      FROM users u
+      LEFT JOIN classes c ON u.class_id = c.id
+      WHERE u.role = 'teacher'
+    `;
+
+    const params = [];
+    if (class_id) {
+      sql += ` AND u.id IN (SELECT teacher_id FROM teacher_classes WHERE class_id = $${params.length + 1})`;
+      params.push(validateInteger(class_id, 'class_id'));
+    }
+
+    sql += ' ORDER BY COALESCE(u.display_name, u.username)';
+    const result = await db.query(sql, params);
+    res.json(result.rows);
+  } catch (err) {
+    if (/^Invalid/.test(err.message)) {
+      return res.status(400).json({ error: err.message });
+    }
+    return handleDbError(err, res, 'Get teachers');
+  }
+});
+
+app.post('/api/teachers', requireAuth, requireRole('admin'), async (req, res) => {
+  const { username, display_name, password, class_id, email, phone, subject, experience } = req.body;
+
+  if (!username || !password) {
+    return res.status(400).json({ error: 'username and password are required for a teacher account' });
+  }
+
+  // Validate username format (basic)
+  if (username.length < 3 || username.length > 50) {
+    return res.status(400).json({ error: 'Username must be between 3 and 50 characters' });
+  }
+
+  try {
+    // Check if username already exists
+    const { sql: checkSql, params: checkParams } = convertPlaceholders(
+      'SELECT id FROM users WHERE username = ?',
+      [username]
+    );
+    const existingResult = await db.query(checkSql, checkParams);
+    
+    if (existingResult.rows.length > 0) {
+      return res.status(400).json({ error: 'Username already exists' });
+    }
+
+    // Validate class_id if provided
+    if (class_id) {
+      const classIdInt = parseInt(class_id, 10);
+      if (isNaN(classIdInt) || classIdInt <= 0) {
+        return res.status(400).json({ error: 'Invalid class_id' });
+      }
+
+      const { sql: classCheckSql, params: classCheckParams } = convertPlaceholders(
+        'SELECT id FROM classes WHERE id = ?',
+        [classIdInt]
+      );
+      const classResult = await db.query(classCheckSql, classCheckParams);
+      
+      if (classResult.rows.length === 0) {
+        return res.status(400).json({ error: 'Invalid class_id: class does not exist' });
+      }
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const { sql, params } = convertPlaceholders(
+      'INSERT INTO users (username, password, role, display_name, class_id, email, phone, subject, experience) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING id',
+      [username, hashedPassword, 'teacher', display_name || null, class_id || null, email || null, phone || null, subject || null, experience || null]
+    );
+    const result = await db.query(sql, params);
+
+    if (class_id) {
+      await assignTeacherToClass(result.rows[0].id, parseInt(class_id, 10));
+    }
+
+    res.status(201).json({
+      id: result.rows[0].id,
+      username,
+      display_name: display_name || null,
+      class_id: class_id || null,
+      email: email || null,
+      phone: phone || null,
+      subject: subject || null,
+      experience: experience || null,
+    });
+  } catch (err) {
+    return handleDbError(err, res, 'Add teacher');
+  }
+});
+
+async function updateTeacher(req, res) {
+  let teacherId;
+  try {
+    teacherId = validateInteger(req.params.id, 'teacher id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const existingResult = await db.query(
+      `SELECT username, display_name, class_id, email, phone, subject, experience
+       FROM users WHERE id = $1 AND role = 'teacher'`,
+      [teacherId]
+    );
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Teacher not found' });
+    }
+    const existing = existingResult.rows[0];
+
+    let values;
+    try {
+      values = mergeForUpdate(req, existing, ['username']);
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
+    }
+
+    if (!values.username || values.username.length < 3 || values.username.length > 50) {
+      return res.status(400).json({ error: 'Username must be between 3 and 50 characters' });
+    }
+
+    if (values.username !== existing.username) {
+      const duplicate = await db.query('SELECT id FROM users WHERE username = $1 AND id <> $2', [values.username, teacherId]);
+      if (duplicate.rows.length > 0) {
+        return res.status(400).json({ error: 'Username already exists' });
+      }
+    }
+
+    let classIdInt = null;
+    if (values.class_id) {
+      classIdInt = parseInt(values.class_id, 10);
+      if (isNaN(classIdInt) || classIdInt <= 0) {
+        return res.status(400).json({ error: 'Invalid class_id' });
+      }
+      if (!(await classExists(classIdInt))) {
+        return res.status(400).json({ error: 'Invalid class_id: class does not exist' });
+      }
+    }
+
+    const { sql, params } = convertPlaceholders(
+      `UPDATE users
+       SET username = ?, display_name = ?, class_id = ?, email = ?, phone = ?, subject = ?, experience = ?
+       WHERE id = ?
+       RETURNING id, username, display_name, class_id, email, phone, subject, experience`,
+      [
+        values.username,
+        values.display_name || null,
+        classIdInt,
+        values.email || null,
+        values.phone || null,
+        values.subject || null,
+        values.experience || null,
+        teacherId,
+      ]
+    );
+    // Password is optional on update; only replace it when a new one is sent
+    const hashedPassword = req.body.password ? await bcrypt.hash(req.body.password, 10) : null;
+
+    const client = await db.connect();
+    let result;
+    try {
+      await client.query('BEGIN');
+      result = await client.query(sql, params);
+
+      // Moving the teacher to another class takes away the old one; other assignments stay
+      if (existing.class_id && existing.class_id !== classIdInt) {
+        await client.query('DELETE FROM teacher_classes WHERE teacher_id = $1 AND class_id = $2', [teacherId, existing.class_id]);
+      }
+      if (classIdInt) {
+        await assignTeacherToClass(teacherId, classIdInt, client);
+      }
+
+      if (hashedPassword) {
+        await client.query('UPDATE users SET password = $1 WHERE id = $2', [hashedPassword, teacherId]);
+      }
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    return handleDbError(err, res, 'Update teacher');
+  }
+}
+
+app.put('/api/teachers/:id', requireAuth, requireRole('admin'), updateTeacher);
+app.patch('/api/teachers/:id', requireAuth, requireRole('admin'), updateTeacher);
+
+// Teachers own no attendance rows, so removal needs no confirmation.
+app.delete('/api/teachers/:id', requireAuth, requireRole('admin'), async (req, res) => {
+  let teacherId;
+  try {
+    teacherId = validateInteger(req.params.id, 'teacher id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const result = await db.query(
+      "DELETE FROM users WHERE id = $1 AND role = 'teacher' RETURNING id",
+      [teacherId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Teacher not found' });
+    }
+    res.json({ message: 'Teacher deleted' });
+  } catch (err) {
+    return handleDbError(err, res, 'Delete teacher');
+  }
+});
+
+// --- Teacher class assignments ---
+// A teacher can be assigned to several classes; only those classes are accessible to them.
+async function findTeacher(teacherId) {
+  const result = await db.query("SELECT id, class_id FROM users WHERE id = $1 AND role = 'teacher'", [teacherId]);
+  return result.rows[0] || null;
+}
+
+const TEACHER_CLASSES_SQL = `
+  SELECT c.id, c.name, c.description, tc.assigned_at
+  FROM teacher_classes tc
+  JOIN classes c ON c.id = tc.class_id
+  WHERE tc.teacher_id = $1
+  ORDER BY c.name
+`;
+
+app.get('/api/teachers/:id/classes', requireAuth, requireRole('admin'), async (req, res) => {
+  let teacherId;
+  try {
+    teacherId = validateInteger(req.params.id, 'teacher id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    if (!(await findTeacher(teacherId))) {
+      return res.status(404).json({ error: 'Teacher not found' });
+    }
+    const result = await db.query(TEACHER_CLASSES_SQL, [teacherId]);
+    res.json(result.rows);
+  } catch (err) {
+    return handleDbError(err, res, 'Get teacher classes');
+  }
+});
+
+// Replace a teacher's assignments with the given class_ids
+app.put('/api/teachers/:id/classes', requireAuth, requireRole('admin'), async (req, res) => {
+  const { class_ids } = req.body;
+  if (!Array.isArray(class_ids)) {
+    return res.status(400).json({ error: 'class_ids must be an array' });
+  }
+
+  let teacherId;
+  let classIds;
+  try {
+    teacherId = validateInteger(req.params.id, 'teacher id');
+    classIds = [...new Set(class_ids.map((id) => validateInteger(id, 'class_id')))];
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    const teacherResult = await client.query("SELECT id, class_id FROM users WHERE id = $1 AND role = 'teacher'", [teacherId]);
+    if (teacherResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Teacher not found' });
+    }
+
+    if (classIds.length > 0) {
+      const classResult = await client.query('SELECT id FROM classes WHERE id = ANY($1::int[])', [classIds]);
+      if (classResult.rows.length !== classIds.length) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'Invalid class_ids: some classes do not exist' });
+      }
+    }
+
+    await client.query('DELETE FROM teacher_classes WHERE teacher_id = $1', [teacherId]);
+    for (const classId of classIds) {
+      await assignTeacherToClass(teacherId, classId, client);
+    }
+
+    // Keep the primary class pointing at one of the assigned classes
+    const primaryClassId = teacherResult.rows[0].class_id;
+    if (!classIds.includes(primaryClassId)) {
+      await client.query('UPDATE users SET class_id = $1 WHERE id = $2', [classIds[0] || null, teacherId]);
+    }
+
+    await client.query('COMMIT');
+    const result = await db.query(TEACHER_CLASSES_SQL, [teacherId]);
+    res.json(result.rows);
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    return handleDbError(err, res, 'Set teacher classes');
+  } finally {
+    client.release();
+  }
+});
+
+app.post('/api/teachers/:id/classes', requireAuth, requireRole('admin'), async (req, res) => {
+  let teacherId;
+  let classId;
+  try {
+    teacherId = validateInteger(req.params.id, 'teacher id');
+    classId = validateInteger(req.body.class_id, 'class_id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const teacher = await findTeacher(teacherId);
+    if (!teacher) {
+      return res.status(404).json({ error: 'Teacher not found' });
+    }
+    if (!(await classExists(classId))) {
+      return res.status(400).json({ error: 'Invalid class_id: class does not exist' });
+    }
+
+    await assignTeacherToClass(teacherId, classId);
+    if (!teacher.class_id) {
+      await db.query('UPDATE users SET class_id = $1 WHERE id = $2', [classId, teacherId]);
+    }
+
+    res.status(201).json({ teacher_id: teacherId, class_id: classId });
+  } catch (err) {
+    return handleDbError(err, res, 'Assign teacher to class');
+  }
+});
+
+app.delete('/api/teachers/:id/classes/:classId', requireAuth, requireRole('admin'), async (req, res) => {
+  let teacherId;
+  let classId;
+  try {
+    teacherId = validateInteger(req.params.id, 'teacher id');
+    classId = validateInteger(req.params.classId, 'class id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const teacher = await findTeacher(teacherId);
+    if (!teacher) {
+      return res.status(404).json({ error: 'Teacher not found' });
+    }
+
+    const result = await db.query(
+      'DELETE FROM teacher_classes WHERE teacher_id = $1 AND class_id = $2 RETURNING class_id',
+      [teacherId, classId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Teacher is not assigned to this class' });
+    }
+
+    // If this was the primary class, fall back to another assignment (or none)
+    if (teacher.class_id === classId) {
+      await db.query(
+        `UPDATE users SET class_id = (SELECT MIN(class_id) FROM teacher_classes WHERE teacher_id = $1)
+         WHERE id = $1`,
+        [teacherId]
+      );
+    }
+
+    res.json({ message: 'Assignment removed' });
+  } catch (err) {
+    return handleDbError(err, res, 'Remove teacher assignment');
+  }
+});
+
+// --- Dashboard stats ---
+
+app.get('/api/dashboard/admin', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const sql = `
+      SELECT
+        (SELECT COUNT(*) FROM students) AS total_students,
+        (SELECT COUNT(*) FROM users WHERE role = 'teacher') AS total_teachers,
+        (SELECT COUNT(*) FROM classes) AS total_classes,
+        (SELECT COUNT(*) FROM attendance_policies WHERE active = TRUE) AS active_policies,
+        (SELECT COUNT(*) FROM attendance_alerts WHERE acknowledged_at IS NULL AND resolved_at IS NULL) AS open_alerts
+    `;
+
+    const result = await db.query(sql);
+    const row = result.rows[0] || {
+      total_students: 0,
+      total_teachers: 0,
+      total_classes: 0,
+      active_policies: 0,
+      open_alerts: 0,
+    };
+
+    res.json(row);
+  } catch (err) {
+    return handleDbError(err, res, 'Admin dashboard');
+  }
+});
+
+// Counts cover every class assigned to the teacher; class_id is the primary class.
+app.get('/api/dashboard/teacher', requireAuth, requireRole('teacher'), async (req, res) => {
+  const user = req.user;
+
+  try {
+    const today = new Date().toISOString().slice(0, 10);
+    const { sql, params } = convertPlaceholders(
+      `SELECT
+        c.id AS class_id,
+        c.name AS class_name,
+        (SELECT COUNT(*) FROM students s WHERE s.class_id = c.id) AS student_count,
+        (SELECT COUNT(*) FROM sessions sess WHERE sess.class_id = c.id AND sess.date = ?) AS today_sessions
+      FROM classes c
+      JOIN teacher_classes tc ON tc.class_id = c.id
+      WHERE tc.teacher_id = ?
+      ORDER BY c.name`,
+      [today, user.id]
+    );
+
+    const result = await db.query(sql, params);
+    const classes = result.rows;
+
+    if (classes.length === 0) {
+      return res.json({
+        class_id: null,
+        class_name: null,
+        student_count: 0,
+        today_sessions: 0,
+        open_alerts: 0,
+        classes: [],
+      });
+    }
+
+    const alertResult = await db.query(
+      `SELECT COUNT(*) AS count FROM attendance_alerts
+       WHERE acknowledged_at IS NULL AND resolved_at IS NULL
+         AND class_id IN (${TEACHER_CLASS_IDS_SQL}$1)`,
+      [user.id]
+    );
+
+    // Today's periods: timetable sessions taught by this teacher, plus ad-hoc sessions in their classes
+    const scheduleResult = await db.query(
+      `SELECT sess.id, sess.class_id, c.name AS class_name, sess.topic,
+              sess.period, sess.start_time, sess.end_time, ts.subject,
+              EXISTS (SELECT 1 FROM attendance a WHERE a.session_id = sess.id) AS marked
+       FROM sessions sess
+       JOIN classes c ON c.id = sess.class_id
+       LEFT JOIN timetable_slots ts ON ts.id = sess.timetable_slot_id
+       WHERE sess.date = $1
+         AND (ts.teacher_id = $2
+              OR ((ts.id IS NULL OR ts.teacher_id IS NULL) AND sess.class_id IN (${TEACHER_CLASS_IDS_SQL}$2)))
+       ORDER BY sess.start_time NULLS LAST, sess.period NULLS LAST, sess.id`,
+      [today, user.id]
+    );
+
+    const primary = classes.find((c) => String(c.class_id) === String(user.class_id)) || classes[0];
+    res.json({
+      class_id: primary.class_id,
+      class_name: classes.map((c) => c.class_name).join(', '),
+      student_count: classes.reduce((sum, c) => sum + parseInt(c.student_count, 10), 0),
+      today_sessions: scheduleResult.rows.length,
+      today_schedule: scheduleResult.rows,
+      open_alerts: parseInt(alertResult.rows[0].count, 10),
+      classes,
+    });
+  } catch (err) {
+    return handleDbError(err, res, 'Teacher dashboard');
+  }
+});
+
+// --- Sessions ---
+// Admins can view all sessions (for reporting/management).
+// Teachers can view sessions for the classes assigned to them (teacher_classes).
+// Students remain scoped to their own class.
+app.get('/api/sessions', requireAuth, async (req, res) => {
+  const { class_id, subject_id } = req.query;
+  const user = req.user;
+
+  try {
+    let sql = `SELECT s.*, c.name as class_name, subj.name AS subject_name, ${sessionLockedSql('s')} AS locked
+               FROM sessions s
+               JOIN classes c ON s.class_id = c.id
+               LEFT JOIN subjects subj ON subj.id = s.subject_id`;
+    const params = [];
+    const where = [];
+
+    if (subject_id) {
+      where.push(`s.subject_id = $${params.length + 1}`);
+      params.push(validateInteger(subject_id, 'subject_id'));
+    }
+
+    if (user.role === 'admin' || user.role === 'teacher') {
+      // Admins and teachers can optionally filter by class_id.
+      if (class_id) {
+        where.push(`s.class_id = $${params.length + 1}`);
+        params.push(validateInteger(class_id, 'class_id'));
+      }
+      if (user.role === 'teacher') {
+        where.push(`s.class_id IN (${TEACHER_CLASS_IDS_SQL}$${params.length + 1})`);
+        params.push(user.id);
+      }
+    } else if (user.role === 'student') {
+      // Students are still restricted to sessions for their own class.
+      if (!user.class_id) {
+        return res.json([]);
+      }
+      where.push(`s.class_id = $${params.length + 1}`);
+      params.push(user.class_id);
+    }
+
+    if (where.length > 0) {
+      sql += ' WHERE ' + where.join(' AND ');
+    }
+
+    // Latest day first; the sessions of a day in timetable order
+    sql += ' ORDER BY date DESC, s.start_time NULLS LAST, s.period NULLS LAST, s.id';
+    const result = await db.query(sql, params);
+    res.json(result.rows);
+  } catch (err) {
+    if (/^Invalid/.test(err.message)) {
+      return res.status(400).json({ error: err.message });
+    }
+    return handleDbError(err, res, 'Get sessions');
+  }
+});
+
+// NOTE: Only teachers create classroom sessions. Admin can manage/view but not create.
+app.post('/api/sessions', requireAuth, requireRole('teacher'), async (req, res) => {
+  const user = req.user;
+  const { class_id, date, topic } = req.body;
+  if (!class_id || !date) {
+    return res.status(400).json({ error: 'class_id and date are required' });
+  }
+
+  const classIdInt = parseInt(class_id, 10);
+  if (isNaN(classIdInt) || classIdInt <= 0) {
+    return res.status(400).json({ error: 'Invalid class_id' });
+  }
+
+  // Validate date format
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  if (!dateRegex.test(date)) {
+    return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+  }
+
+  const dateObj = new Date(date);
+  if (isNaN(dateObj.getTime())) {
+    return res.status(400).json({ error: 'Invalid date value' });
+  }
+
+  try {
+    // Validate class exists
+    const { sql: checkSql, params: checkParams } = convertPlaceholders(
+      'SELECT id FROM classes WHERE id = ?',
+      [classIdInt]
+    );
+    const checkResult = await db.query(checkSql, checkParams);
+    
+    if (checkResult.rows.length === 0) {
+      return res.status(400).json({ error: 'Invalid class_id: class does not exist' });
+    }
+
+    if (!(await canAccessClass(user, classIdInt))) {
+      return res.status(403).json({ error: CLASS_FORBIDDEN_MESSAGE });
+    }
+
+    let subjectId;
+    let times;
+    try {
+      times = buildSessionTimes(req.body);
+      subjectId = await resolveClassSubject(req.body.subject_id, classIdInt);
+    } catch (validationErr) {
+      if (/^Invalid/.test(validationErr.message)) {
+        return res.status(400).json({ error: validationErr.message });
+      }
+      throw validationErr;
+    }
+
+    // Holidays block session creation unless the teacher insists with force: true;
+    // exam days (and forced holidays) come back as a warning
+    const calendarDay = await getCalendarDay(date);
+    let warning;
+    if (calendarDay) {
+      if (NON_TEACHING_DAY_TYPES.includes(calendarDay.day_type) && req.body.force !== true) {
+        return res.status(409).json({
+          error: `${date} is ${CALENDAR_DAY_LABELS[calendarDay.day_type]} (${calendarDay.name}). Send force: true to create the session anyway.`,
+          calendar_day: calendarDay,
+        });
+      }
+      warning = `${date} is ${CALENDAR_DAY_LABELS[calendarDay.day_type]}: ${calendarDay.name}`;
+    }
+
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      // Lock the class so two requests cannot both pass the overlap check
+      await client.query('SELECT id FROM classes WHERE id = $1 FOR UPDATE', [classIdInt]);
+      const conflict = await findSessionOverlap(classIdInt, date, times, null, client);
+      if (conflict) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: sessionOverlapMessage(conflict), conflicting_session: conflict });
+      }
 
-  try {
-    // Students can only see their own record.
-    if (user.role === 'student') {
-      if (!user.student_id) {
-        return res.json([]);
-      }
       const { sql, params } = convertPlaceholders(
-        'SELECT * FROM students WHERE id = ? ORDER BY name',
-        [user.student_id]
+        `INSERT INTO sessions (class_id, date, topic, subject_id, period, start_time, end_time)
+         VALUES (?, ?, ?, ?, ?, ?, ?) RETURNING id`,
+        [classIdInt, date, topic || null, subjectId, times.period, times.start_time, times.end_time]
+      );
+      const result = await client.query(sql, params);
+      const sessionId = result.rows[0].id;
+
+      const session = Object.assign(
+        { id: sessionId, class_id: classIdInt, date, topic: topic || null, subject_id: subjectId },
+        times
+      );
+      await queueWebhookEvent(client, 'session.created', session);
+      await publishLiveChange(client, { type: 'session', session_id: sessionId, class_id: classIdInt, records: [] });
+
+      // Students with approved leave on this date start out marked as on leave (announced after the session)
+      const onLeave = await applyApprovedLeave(client, sessionId, user);
+
+      await client.query('COMMIT');
+      kickWebhookQueue();
+      res.status(201).json(Object.assign({}, session, { on_leave: onLeave, warning }));
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    return handleDbError(err, res, 'Create session');
+  }
+});
+
+// Teachers and admins can correct a session's class, date, topic, subject or times.
+async function updateSession(req, res) {
+  let sessionId;
+  try {
+    sessionId = validateInteger(req.params.id, 'session id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const existingResult = await db.query(
+      `SELECT s.class_id, s.date, s.topic, s.subject_id, s.period, s.start_time, s.end_time,
+              ${sessionLockedSql('s')} AS locked, s.archived_at IS NOT NULL AS archived
+       FROM sessions s WHERE s.id = $1`,
+      [sessionId]
+    );
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    const { locked, archived, ...existing } = existingResult.rows[0];
+    if (archived) {
+      return res.status(423).json({ error: SESSION_ARCHIVED_MESSAGE });
+    }
+    existing.date = toDateString(existing.date);
+    if (!(await canAccessClass(req.user, existing.class_id))) {
+      return res.status(403).json({ error: CLASS_FORBIDDEN_MESSAGE });
+    }
+    // Locked sessions are part of the record; only admins may still edit them
+    if (locked && req.user.role !== 'admin') {
+      return res.status(423).json({ error: 'This session is locked' });
+    }
+
+    let values;
+    let times;
+    try {
+      values = mergeForUpdate(req, existing, ['class_id', 'date']);
+      values.date = validateDate(String(values.date));
+      times = buildSessionTimes(values);
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
+    }
+
+    const classIdInt = parseInt(values.class_id, 10);
+    if (isNaN(classIdInt) || classIdInt <= 0) {
+      return res.status(400).json({ error: 'Invalid class_id' });
+    }
+
+    if (values.date !== existing.date) {
+      const calendarDay = await getCalendarDay(values.date);
+      if (calendarDay && NON_TEACHING_DAY_TYPES.includes(calendarDay.day_type) && req.body.force !== true) {
+        return res.status(409).json({
+          error: `${values.date} is ${CALENDAR_DAY_LABELS[calendarDay.day_type]} (${calendarDay.name}). Send force: true to move the session anyway.`,
+          calendar_day: calendarDay,
+        });
+      }
+    }
+
+    if (classIdInt !== existing.class_id) {
+      if (!(await classExists(classIdInt))) {
+        return res.status(400).json({ error: 'Invalid class_id: class does not exist' });
+      }
+      if (!(await canAccessClass(req.user, classIdInt))) {
+        return res.status(403).json({ error: CLASS_FORBIDDEN_MESSAGE });
+      }
+      // Marked students belong to the old class, so the session cannot move once marked
+      const marked = await db.query('SELECT COUNT(*) AS count FROM attendance WHERE session_id = $1', [sessionId]);
+      if (parseInt(marked.rows[0].count, 10) > 0) {
+        return res.status(400).json({ error: 'Cannot move a session with recorded attendance to another class' });
+      }
+    }
+
+    // A kept subject is checked again when the session moves to another class
+    let subjectId;
+    try {
+      subjectId = await resolveClassSubject(values.subject_id, classIdInt);
+    } catch (validationErr) {
+      if (/^Invalid/.test(validationErr.message)) {
+        return res.status(400).json({ error: validationErr.message });
+      }
+      throw validationErr;
+    }
+
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT id FROM classes WHERE id = $1 FOR UPDATE', [classIdInt]);
+      const conflict = await findSessionOverlap(classIdInt, values.date, times, sessionId, client);
+      if (conflict) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: sessionOverlapMessage(conflict), conflicting_session: conflict });
+      }
+
+      const { sql, params } = convertPlaceholders(
+        `UPDATE sessions SET class_id = ?, date = ?, topic = ?, subject_id = ?, period = ?, start_time = ?, end_time = ?
+         WHERE id = ?`,
+        [classIdInt, values.date, values.topic || null, subjectId, times.period, times.start_time, times.end_time, sessionId]
+      );
+      await client.query(sql, params);
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+    res.json(Object.assign(
+      { id: sessionId, class_id: classIdInt, date: values.date, topic: values.topic || null, subject_id: subjectId },
+      times
+    ));
+  } catch (err) {
+    return handleDbError(err, res, 'Update session');
+  }
+}
+
+app.put('/api/sessions/:id', requireAuth, requireRole('admin', 'teacher'), updateSession);
+app.patch('/api/sessions/:id', requireAuth, requireRole('admin', 'teacher'), updateSession);
+
+app.delete('/api/sessions/:id', requireAuth, requireRole('admin', 'teacher'), async (req, res) => {
+  let sessionId;
+  try {
+    sessionId = validateInteger(req.params.id, 'session id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const existingResult = await db.query(
+      `SELECT s.id, s.class_id, ${sessionLockedSql('s')} AS locked, s.archived_at IS NOT NULL AS archived
+       FROM sessions s WHERE s.id = $1`,
+      [sessionId]
+    );
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    if (!(await canAccessClass(req.user, existingResult.rows[0].class_id))) {
+      return res.status(403).json({ error: CLASS_FORBIDDEN_MESSAGE });
+    }
+    if (existingResult.rows[0].archived) {
+      return res.status(423).json({ error: SESSION_ARCHIVED_MESSAGE });
+    }
+    if (existingResult.rows[0].locked && req.user.role !== 'admin') {
+      return res.status(423).json({ error: 'This session is locked' });
+    }
+
+    const confirmed = await confirmAttendanceDelete(
+      req,
+      res,
+      'SELECT COUNT(*) AS count FROM attendance WHERE session_id = $1',
+      [sessionId]
+    );
+    if (!confirmed) return;
+
+    await db.query('DELETE FROM sessions WHERE id = $1', [sessionId]);
+    res.json({ message: 'Session deleted' });
+  } catch (err) {
+    return handleDbError(err, res, 'Delete session');
+  }
+});
+
+// Admin: finalize a session so its attendance is locked immediately, or reopen it.
+// Reopening only clears the manual lock; the time-based lock still applies.
+app.post('/api/sessions/:id/finalize', requireAuth, requireRole('admin'), async (req, res) => {
+  let sessionId;
+  try {
+    sessionId = validateInteger(req.params.id, 'session id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const result = await db.query(
+      `UPDATE sessions SET finalized_at = COALESCE(finalized_at, NOW()), finalized_by = COALESCE(finalized_by, $2)
+       WHERE id = $1
+       RETURNING id, finalized_at, finalized_by`,
+      [sessionId, req.user.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    return handleDbError(err, res, 'Finalize session');
+  }
+});
+
+app.post('/api/sessions/:id/reopen', requireAuth, requireRole('admin'), async (req, res) => {
+  let sessionId;
+  try {
+    sessionId = validateInteger(req.params.id, 'session id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const result = await db.query(
+      `UPDATE sessions s SET finalized_at = NULL, finalized_by = NULL
+       WHERE s.id = $1
+       RETURNING s.id, ${sessionLockedSql('s')} AS locked`,
+      [sessionId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    return handleDbError(err, res, 'Reopen session');
+  }
+});
+
+// --- Timetable ---
+const TIMETABLE_SELECT_SQL = `
+  SELECT ts.*, c.name AS class_name, COALESCE(u.display_name, u.username) AS teacher_name
+  FROM timetable_slots ts
+  JOIN classes c ON c.id = ts.class_id
+  LEFT JOIN users u ON u.id = ts.teacher_id
+`;
+
+app.get('/api/timetable', requireAuth, async (req, res) => {
+  const { class_id } = req.query;
+  const user = req.user;
+
+  try {
+    let sql = TIMETABLE_SELECT_SQL;
+    const params = [];
+    const where = [];
+
+    if (user.role === 'student') {
+      if (!user.class_id) {
+        return res.json([]);
+      }
+      where.push(`ts.class_id = $${params.length + 1}`);
+      params.push(user.class_id);
+    } else {
+      if (class_id) {
+        where.push(`ts.class_id = $${params.length + 1}`);
+        params.push(validateInteger(class_id, 'class_id'));
+      }
+      if (user.role === 'teacher') {
+        where.push(`ts.class_id IN (${TEACHER_CLASS_IDS_SQL}$${params.length + 1})`);
+        params.push(user.id);
+      }
+    }
+
+    if (where.length > 0) {
+      sql += ' WHERE ' + where.join(' AND ');
+    }
+
+    sql += ' ORDER BY c.name, ts.weekday, ts.start_time NULLS LAST, ts.period NULLS LAST';
+    const result = await db.query(sql, params);
+    res.json(result.rows);
+  } catch (err) {
+    if (/^Invalid/.test(err.message)) {
+      return res.status(400).json({ error: err.message });
+    }
+    return handleDbError(err, res, 'Get timetable');
+  }
+});
+
+// Check the slot's class, subject and teacher; the teacher is assigned to the class if not already.
+async function checkTimetableSlotRefs(values) {
+  if (!(await classExists(values.class_id))) {
+    return 'Invalid class_id: class does not exist';
+  }
+  if (values.subject_id) {
+    try {
+      await resolveClassSubject(values.subject_id, values.class_id);
+    } catch (validationErr) {
+      return validationErr.message;
+    }
+  }
+  if (values.teacher_id) {
+    const teacherResult = await db.query("SELECT id FROM users WHERE id = $1 AND role = 'teacher'", [values.teacher_id]);
+    if (teacherResult.rows.length === 0) {
+      return 'Invalid teacher_id: teacher does not exist';
+    }
+    await assignTeacherToClass(values.teacher_id, values.class_id);
+  }
+  return null;
+}
+
+app.post('/api/timetable', requireAuth, requireRole('admin'), async (req, res) => {
+  let values;
+  try {
+    values = buildTimetableSlotValues(req.body);
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const refError = await checkTimetableSlotRefs(values);
+    if (refError) {
+      return res.status(400).json({ error: refError });
+    }
+
+    const { sql, params } = convertPlaceholders(
+      `INSERT INTO timetable_slots (class_id, weekday, period, start_time, end_time, subject, subject_id, teacher_id, active)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+       RETURNING *`,
+      [values.class_id, values.weekday, values.period, values.start_time, values.end_time, values.subject, values.subject_id, values.teacher_id, values.active]
+    );
+    const result = await db.query(sql, params);
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    return handleDbError(err, res, 'Create timetable slot');
+  }
+});
+
+async function updateTimetableSlot(req, res) {
+  let slotId;
+  try {
+    slotId = validateInteger(req.params.id, 'timetable slot id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const existingResult = await db.query(
+      'SELECT class_id, weekday, period, start_time, end_time, subject, subject_id, teacher_id, active FROM timetable_slots WHERE id = $1',
+      [slotId]
+    );
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Timetable slot not found' });
+    }
+
+    let values;
+    try {
+      values = buildTimetableSlotValues(mergeForUpdate(req, existingResult.rows[0], ['class_id', 'weekday', 'subject']));
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
+    }
+
+    const refError = await checkTimetableSlotRefs(values);
+    if (refError) {
+      return res.status(400).json({ error: refError });
+    }
+
+    // Already generated sessions keep their date; only future generation uses the new slot
+    const { sql, params } = convertPlaceholders(
+      `UPDATE timetable_slots
+       SET class_id = ?, weekday = ?, period = ?, start_time = ?, end_time = ?, subject = ?, subject_id = ?, teacher_id = ?, active = ?
+       WHERE id = ?
+       RETURNING *`,
+      [values.class_id, values.weekday, values.period, values.start_time, values.end_time, values.subject, values.subject_id, values.teacher_id, values.active, slotId]
+    );
+    const result = await db.query(sql, params);
+    res.json(result.rows[0]);
+  } catch (err) {
+    return handleDbError(err, res, 'Update timetable slot');
+  }
+}
+
+app.put('/api/timetable/:id', requireAuth, requireRole('admin'), updateTimetableSlot);
+app.patch('/api/timetable/:id', requireAuth, requireRole('admin'), updateTimetableSlot);
+
+app.delete('/api/timetable/:id', requireAuth, requireRole('admin'), async (req, res) => {
+  let slotId;
+  try {
+    slotId = validateInteger(req.params.id, 'timetable slot id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    // Generated sessions stay (timetable_slot_id is set to NULL)
+    const result = await db.query('DELETE FROM timetable_slots WHERE id = $1 RETURNING id', [slotId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Timetable slot not found' });
+    }
+    res.json({ message: 'Timetable slot deleted' });
+  } catch (err) {
+    return handleDbError(err, res, 'Delete timetable slot');
+  }
+});
+
+// Create sessions from the timetable for a date range, skipping holidays, non-instructional days, days that
+// already have the slot's session and slots that overlap another session of the class that day.
+// Generated sessions take the slot's period and times. Teachers may generate for their own classes.
+// With dry_run=true the sessions that would be created are returned without saving.
+app.post('/api/timetable/generate', requireAuth, requireRole('admin', 'teacher'), async (req, res) => {
+  const { class_id, from, to, dry_run } = req.body;
+  const user = req.user;
+
+  if (!from || !to) {
+    return res.status(400).json({ error: 'from and to are required' });
+  }
+  let classId = null;
+  try {
+    validateDate(from);
+    validateDate(to);
+    if (class_id) classId = validateInteger(class_id, 'class_id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+  if (from > to) {
+    return res.status(400).json({ error: 'from must be on or before to' });
+  }
+  if (daySpan(from, to) > TIMETABLE_MAX_DAYS) {
+    return res.status(400).json({ error: `Date range cannot exceed ${TIMETABLE_MAX_DAYS} days` });
+  }
+  const days = eachDate(from, to);
+  if (user.role === 'teacher' && !classId) {
+    return res.status(400).json({ error: 'class_id is required' });
+  }
+
+  const client = await db.connect();
+  try {
+    if (classId && !(await canAccessClass(user, classId, client))) {
+      return res.status(403).json({ error: CLASS_FORBIDDEN_MESSAGE });
+    }
+
+    await client.query('BEGIN');
+
+    const slotParams = [];
+    let slotSql = 'SELECT * FROM timetable_slots WHERE active = TRUE';
+    if (classId) {
+      slotSql += ' AND class_id = $1';
+      slotParams.push(classId);
+    }
+    const slots = (await client.query(slotSql, slotParams)).rows;
+
+    const holidayResult = await client.query(
+      'SELECT date FROM calendar_days WHERE date BETWEEN $1 AND $2 AND day_type = ANY($3::text[])',
+      [from, to, NON_TEACHING_DAY_TYPES]
+    );
+    const holidays = new Set(holidayResult.rows.map((h) => toDateString(h.date)));
+
+    const created = [];
+    let skippedHolidays = 0;
+    let skippedOverlaps = 0;
+    for (const day of days) {
+      if (holidays.has(day.date)) {
+        skippedHolidays++;
+        continue;
+      }
+      for (const slot of slots.filter((sl) => sl.weekday === day.weekday)) {
+        // Slots with only one of the two times keep the period alone
+        const times = {
+          period: slot.period,
+          start_time: slot.start_time && slot.end_time ? slot.start_time : null,
+          end_time: slot.start_time && slot.end_time ? slot.end_time : null,
+        };
+        const existing = await client.query(
+          'SELECT 1 FROM sessions WHERE timetable_slot_id = $1 AND date = $2',
+          [slot.id, day.date]
+        );
+        if (existing.rows.length > 0) continue;
+        if (await findSessionOverlap(slot.class_id, day.date, times, null, client)) {
+          skippedOverlaps++;
+          continue;
+        }
+
+        const insertResult = await client.query(
+          `INSERT INTO sessions (class_id, date, topic, subject_id, timetable_slot_id, period, start_time, end_time)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+           ON CONFLICT (timetable_slot_id, date) WHERE timetable_slot_id IS NOT NULL DO NOTHING
+           RETURNING id`,
+          [slot.class_id, day.date, slot.subject, slot.subject_id, slot.id, times.period, times.start_time, times.end_time]
+        );
+        if (insertResult.rows.length === 0) continue;
+
+        const sessionId = insertResult.rows[0].id;
+        const session = Object.assign({
+          id: sessionId,
+          class_id: slot.class_id,
+          date: day.date,
+          topic: slot.subject,
+          subject_id: slot.subject_id,
+          timetable_slot_id: slot.id,
+        }, times);
+        // Same events as a single session; a dry run rolls them back with everything else
+        await queueWebhookEvent(client, 'session.created', session);
+        await publishLiveChange(client, { type: 'session', session_id: sessionId, class_id: slot.class_id, records: [] });
+        await applyApprovedLeave(client, sessionId, user);
+        created.push(session);
+      }
+    }
+
+    if (dry_run === true || String(dry_run) === 'true') {
+      await client.query('ROLLBACK');
+      return res.json({
+        dry_run: true,
+        sessions: created.map(({ id, ...rest }) => rest),
+        skipped_holidays: skippedHolidays,
+        skipped_overlaps: skippedOverlaps,
+      });
+    }
+
+    await client.query('COMMIT');
+    if (created.length > 0) {
+      kickWebhookQueue();
+    }
+    res.status(201).json({
+      created: created.length,
+      sessions: created,
+      skipped_holidays: skippedHolidays,
+      skipped_overlaps: skippedOverlaps,
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    return handleDbError(err, res, 'Generate sessions');
+  } finally {
+    client.release();
+  }
+});
+
+// --- Academic calendar ---
+// Terms scope reports (term_id); calendar days mark holidays, exam days and non-instructional days.
+function buildTermValues(body, existing = {}) {
+  const merged = Object.assign({}, existing, body);
+  if (!merged.name || !merged.start_date || !merged.end_date) {
+    throw new Error('name, start_date and end_date are required');
+  }
+  const startDate = validateDate(toDateString(merged.start_date));
+  const endDate = validateDate(toDateString(merged.end_date));
+  if (startDate > endDate) {
+    throw new Error('start_date must be on or before end_date');
+  }
+  return { name: merged.name, start_date: startDate, end_date: endDate };
+}
+
+// Terms must not overlap, so every date belongs to at most one term
+async function findOverlappingTerm(values, excludeId = null) {
+  const result = await db.query(
+    `SELECT id, name FROM academic_terms
+     WHERE start_date <= $2 AND end_date >= $1 AND ($3::int IS NULL OR id <> $3)`,
+    [values.start_date, values.end_date, excludeId]
+  );
+  return result.rows[0] || null;
+}
+
+app.get('/api/calendar/terms', requireAuth, async (req, res) => {
+  try {
+    const result = await db.query('SELECT * FROM academic_terms ORDER BY start_date');
+    res.json(result.rows);
+  } catch (err) {
+    return handleDbError(err, res, 'Get terms');
+  }
+});
+
+app.get('/api/calendar/terms/current', requireAuth, async (req, res) => {
+  try {
+    const result = await db.query('SELECT * FROM academic_terms WHERE CURRENT_DATE BETWEEN start_date AND end_date');
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'No term is in progress' });
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    return handleDbError(err, res, 'Get current term');
+  }
+});
+
+app.post('/api/calendar/terms', requireAuth, requireRole('admin'), async (req, res) => {
+  let values;
+  try {
+    values = buildTermValues(req.body);
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const overlap = await findOverlappingTerm(values);
+    if (overlap) {
+      return res.status(400).json({ error: `Term overlaps with "${overlap.name}"` });
+    }
+
+    const result = await db.query(
+      'INSERT INTO academic_terms (name, start_date, end_date) VALUES ($1, $2, $3) RETURNING *',
+      [values.name, values.start_date, values.end_date]
+    );
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    return handleDbError(err, res, 'Create term');
+  }
+});
+
+async function updateTerm(req, res) {
+  let termId;
+  try {
+    termId = validateInteger(req.params.id, 'term id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const existingResult = await db.query('SELECT name, start_date, end_date FROM academic_terms WHERE id = $1', [termId]);
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Term not found' });
+    }
+
+    let values;
+    try {
+      values = buildTermValues(mergeForUpdate(req, existingResult.rows[0], ['name', 'start_date', 'end_date']));
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
+    }
+
+    const overlap = await findOverlappingTerm(values, termId);
+    if (overlap) {
+      return res.status(400).json({ error: `Term overlaps with "${overlap.name}"` });
+    }
+
+    const result = await db.query(
+      'UPDATE academic_terms SET name = $1, start_date = $2, end_date = $3 WHERE id = $4 RETURNING *',
+      [values.name, values.start_date, values.end_date, termId]
+    );
+    res.json(result.rows[0]);
+  } catch (err) {
+    return handleDbError(err, res, 'Update term');
+  }
+}
+
+app.put('/api/calendar/terms/:id', requireAuth, requireRole('admin'), updateTerm);
+app.patch('/api/calendar/terms/:id', requireAuth, requireRole('admin'), updateTerm);
+
+app.delete('/api/calendar/terms/:id', requireAuth, requireRole('admin'), async (req, res) => {
+  let termId;
+  try {
+    termId = validateInteger(req.params.id, 'term id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const result = await db.query('DELETE FROM academic_terms WHERE id = $1 RETURNING id', [termId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Term not found' });
+    }
+    res.json({ message: 'Term deleted' });
+  } catch (err) {
+    return handleDbError(err, res, 'Delete term');
+  }
+});
+
+app.get('/api/calendar/days', requireAuth, async (req, res) => {
+  const { from, to, day_type } = req.query;
+
+  try {
+    let sql = 'SELECT * FROM calendar_days';
+    const params = [];
+    const where = [];
+    if (from) {
+      where.push(`date >= $${params.length + 1}`);
+      params.push(validateDate(from));
+    }
+    if (to) {
+      where.push(`date <= $${params.length + 1}`);
+      params.push(validateDate(to));
+    }
+    if (day_type) {
+      where.push(`day_type = $${params.length + 1}`);
+      params.push(day_type);
+    }
+    if (where.length > 0) {
+      sql += ' WHERE ' + where.join(' AND ');
+    }
+    sql += ' ORDER BY date';
+    const result = await db.query(sql, params);
+    res.json(result.rows);
+  } catch (err) {
+    if (/^Invalid date/.test(err.message)) {
+      return res.status(400).json({ error: err.message });
+    }
+    return handleDbError(err, res, 'Get calendar days');
+  }
+});
+
+// Add one day, or every day from date to end_date (e.g. a vacation) with the same name and type
+app.post('/api/calendar/days', requireAuth, requireRole('admin'), async (req, res) => {
+  const { date, end_date, name, day_type = 'holiday' } = req.body;
+  if (!date || !name) {
+    return res.status(400).json({ error: 'date and name are required' });
+  }
+  if (!CALENDAR_DAY_TYPES.includes(day_type)) {
+    return res.status(400).json({ error: `Invalid day_type. Must be one of: ${CALENDAR_DAY_TYPES.join(', ')}` });
+  }
+
+  try {
+    validateDate(date);
+    if (end_date) validateDate(end_date);
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+  const span = daySpan(date, end_date || date);
+  if (span < 1) {
+    return res.status(400).json({ error: 'end_date must be on or after date' });
+  }
+  if (span > TIMETABLE_MAX_DAYS) {
+    return res.status(400).json({ error: `Date range cannot exceed ${TIMETABLE_MAX_DAYS} days` });
+  }
+  const days = eachDate(date, end_date || date);
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    const created = [];
+    for (const day of days) {
+      const result = await client.query(
+        'INSERT INTO calendar_days (date, name, day_type) VALUES ($1, $2, $3) RETURNING *',
+        [day.date, name, day_type]
+      );
+      created.push(result.rows[0]);
+    }
+    await client.query('COMMIT');
+    res.status(201).json(created.length === 1 ? created[0] : created);
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    if (err.code === '23505') {
+      return res.status(400).json({ error: 'A calendar entry already exists on one of these dates' });
+    }
+    return handleDbError(err, res, 'Create calendar day');
+  } finally {
+    client.release();
+  }
+});
+
+app.delete('/api/calendar/days/:id', requireAuth, requireRole('admin'), async (req, res) => {
+  let dayId;
+  try {
+    dayId = validateInteger(req.params.id, 'calendar day id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const result = await db.query('DELETE FROM calendar_days WHERE id = $1 RETURNING id', [dayId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Calendar day not found' });
+    }
+    res.json({ message: 'Calendar day deleted' });
+  } catch (err) {
+    return handleDbError(err, res, 'Delete calendar day');
+  }
+});
+
+// --- Attendance ---
+// Mark attendance for one or many students
+// NOTE: Only teachers can mark attendance. Admins can view reports but cannot mark.
+//
+// Offline clients queue saves and send them later, so the body may also carry:
+//   idempotency_key (or an Idempotency-Key header) - a retried save returns the stored response
+//     instead of being applied again
+//   records[].base_version - the version of the mark the client last saw (null if unmarked). When
+//     someone else has changed the mark since, the record is not saved but reported in conflicts.
+//     Records without base_version overwrite as before.
+//   records[].marked_at - when the mark was made on the client (ISO 8601), kept in the history
+// Responds 201, or 409 when some records conflicted; the others are saved either way.
+app.post('/api/attendance', requireAuth, requireRole('teacher'), async (req, res) => {
+  const { session_id, records } = req.body;
+
+  if (!session_id || !Array.isArray(records) || records.length === 0) {
+    return res.status(400).json({ error: 'session_id and an array of records are required' });
+  }
+
+  // Validate session_id is integer
+  const sessionIdInt = parseInt(session_id, 10);
+  if (isNaN(sessionIdInt) || sessionIdInt <= 0) {
+    return res.status(400).json({ error: 'Invalid session_id' });
+  }
+
+  const idempotencyKey = req.body.idempotency_key || req.headers['idempotency-key'] || null;
+  if (idempotencyKey !== null && (typeof idempotencyKey !== 'string' || idempotencyKey.length > 100)) {
+    return res.status(400).json({ error: 'Invalid idempotency_key: must be a string of at most 100 characters' });
+  }
+
+  // Client timestamps may not lie in the future
+  const clientTimes = new Map();
+  try {
+    records.forEach((rec) => {
+      if (rec.marked_at !== undefined && rec.marked_at !== null) {
+        const markedAt = validateTimestamp(rec.marked_at, 'marked_at');
+        clientTimes.set(parseInt(rec.student_id, 10), markedAt > new Date() ? new Date() : markedAt);
+      }
+      if (rec.base_version !== undefined && rec.base_version !== null) {
+        const baseVersion = parseInt(rec.base_version, 10);
+        if (isNaN(baseVersion) || baseVersion < 0) {
+          throw new Error('Invalid base_version: must be a non-negative integer');
+        }
+      }
+    });
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    // A repeated key waits here until the first request commits, then replays its response
+    if (idempotencyKey) {
+      const keyResult = await client.query(
+        `INSERT INTO attendance_sync_keys (user_id, idempotency_key, session_id)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (user_id, idempotency_key) DO NOTHING
+         RETURNING idempotency_key`,
+        [req.user.id, idempotencyKey, sessionIdInt]
+      );
+      if (keyResult.rows.length === 0) {
+        const stored = await client.query(
+          'SELECT session_id, status_code, response FROM attendance_sync_keys WHERE user_id = $1 AND idempotency_key = $2',
+          [req.user.id, idempotencyKey]
+        );
+        await client.query('ROLLBACK');
+        const previous = stored.rows[0];
+        if (previous.session_id !== sessionIdInt) {
+          return res.status(422).json({ error: 'This idempotency_key was already used for a different session' });
+        }
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(previous.status_code).json(previous.response);
+      }
+    }
+
+    // Get session class_id and lock state
+    const { sql: sessionSql, params: sessionParams } = convertPlaceholders(
+      `SELECT s.class_id, ${sessionLockedSql('s')} AS locked, s.archived_at IS NOT NULL AS archived
+       FROM sessions s WHERE s.id = ?`,
+      [sessionIdInt]
+    );
+    const sessionResult = await client.query(sessionSql, sessionParams);
+    
+    if (sessionResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Invalid session_id' });
+    }
+
+    const sessionClassId = sessionResult.rows[0].class_id;
+
+    if (!(await canAccessClass(req.user, sessionClassId, client))) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: CLASS_FORBIDDEN_MESSAGE });
+    }
+
+    if (sessionResult.rows[0].locked) {
+      await client.query('ROLLBACK');
+      return res.status(423).json({ error: sessionResult.rows[0].archived ? SESSION_ARCHIVED_MESSAGE : SESSION_LOCKED_MESSAGE });
+    }
+
+    // Validate all student_ids belong to the session's class
+    const studentIds = records
+      .map(r => parseInt(r.student_id, 10))
+      .filter(id => !isNaN(id) && id > 0);
+    
+    if (studentIds.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'No valid student_ids provided' });
+    }
+
+    // Validate status values against the configured status set
+    const validStatuses = (await getAttendanceStatuses(client)).map(s => s.code);
+    const invalidRecords = records.filter(r => !validStatuses.includes(String(r.status).toLowerCase()));
+    if (invalidRecords.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: `Invalid status values. Must be one of: ${validStatuses.join(', ')}` });
+    }
+
+    // Check all students were enrolled in the session's class on its date
+    const enrolled = await findSessionEnrollees(client, sessionIdInt, studentIds);
+    if (studentIds.some((id) => !enrolled.has(id))) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Some students do not belong to this session\'s class' });
+    }
+
+    // Filter valid records
+    const validRecords = records.filter(rec => {
+      const studentId = parseInt(rec.student_id, 10);
+      const status = String(rec.status).toLowerCase();
+      return !isNaN(studentId) && studentId > 0 && validStatuses.includes(status);
+    });
+
+    if (validRecords.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'No valid records to save' });
+    }
+
+    // Students on approved leave cannot be marked absent unless the record carries override_leave
+    const leaveResult = await client.query(
+      `SELECT DISTINCT lr.student_id
+       FROM leave_requests lr
+       JOIN sessions sess ON sess.id = $1
+       WHERE lr.student_id = ANY($2::int[])
+         AND lr.status = 'approved'
+         AND sess.date BETWEEN lr.start_date AND lr.end_date`,
+      [sessionIdInt, studentIds]
+    );
+    const onLeave = new Set(leaveResult.rows.map((r) => r.student_id));
+    const blocked = validRecords
+      .filter((rec) => onLeave.has(parseInt(rec.student_id, 10))
+        && String(rec.status).toLowerCase() === 'absent'
+        && rec.override_leave !== true)
+      .map((rec) => parseInt(rec.student_id, 10));
+    if (blocked.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: 'Some students are on approved leave. Set override_leave on their records to mark them absent.',
+        student_ids: blocked,
+      });
+    }
+
+    // Current marks, locked so concurrent saves cannot slip a change past the audit trail
+    const existingResult = await client.query(
+      'SELECT student_id, status, version, updated_at FROM attendance WHERE session_id = $1 FOR UPDATE',
+      [sessionIdInt]
+    );
+    const existingMarks = new Map(existingResult.rows.map((r) => [r.student_id, r]));
+    const newlyAbsent = [];
+    const changes = [];
+    const conflicts = [];
+
+    // Use INSERT ... ON CONFLICT to preserve marked_at timestamp on updates
+    const upsertSql = `
+      INSERT INTO attendance (session_id, student_id, status, marked_at)
+      VALUES ($1, $2, $3, COALESCE($4::timestamptz, CURRENT_TIMESTAMP))
+      ON CONFLICT(session_id, student_id) 
+      DO UPDATE SET status = EXCLUDED.status, version = attendance.version + 1, updated_at = CURRENT_TIMESTAMP
+      RETURNING id, version
+    `;
+
+    for (const rec of validRecords) {
+      const studentId = parseInt(rec.student_id, 10);
+      const status = String(rec.status).toLowerCase();
+      const existing = existingMarks.get(studentId);
+      const previousStatus = existing ? existing.status : undefined;
+      if (previousStatus === status) continue;
+
+      // Someone else changed the mark after the client last saw it
+      if (rec.base_version !== undefined) {
+        const baseVersion = rec.base_version === null ? 0 : parseInt(rec.base_version, 10);
+        const currentVersion = existing ? existing.version : 0;
+        if (baseVersion !== currentVersion) {
+          conflicts.push({
+            student_id: studentId,
+            status,
+            current_status: previousStatus || null,
+            current_version: currentVersion,
+            changed_at: existing ? existing.updated_at : null,
+          });
+          continue;
+        }
+      }
+
+      const clientMarkedAt = clientTimes.get(studentId) || null;
+      const upsertResult = await client.query(upsertSql, [sessionIdInt, studentId, status, clientMarkedAt]);
+
+      await recordAttendanceChange(client, {
+        attendanceId: upsertResult.rows[0].id,
+        sessionId: sessionIdInt,
+        studentId,
+        oldStatus: previousStatus,
+        newStatus: status,
+        user: req.user,
+        reason: onLeave.has(studentId) && rec.override_leave === true ? 'Leave override' : null,
+        clientMarkedAt,
+      });
+      if (status === 'absent') {
+        newlyAbsent.push(studentId);
+      }
+      changes.push({
+        student_id: studentId,
+        status,
+        previous_status: previousStatus || null,
+        version: upsertResult.rows[0].version,
+      });
+    }
+
+    // Say who made the conflicting change
+    if (conflicts.length > 0) {
+      const changedBy = await client.query(
+        `SELECT DISTINCT ON (student_id) student_id, changed_by_name
+         FROM attendance_history
+         WHERE session_id = $1 AND student_id = ANY($2::int[])
+         ORDER BY student_id, changed_at DESC, id DESC`,
+        [sessionIdInt, conflicts.map((c) => c.student_id)]
+      );
+      const names = new Map(changedBy.rows.map((r) => [r.student_id, r.changed_by_name]));
+      conflicts.forEach((c) => {
+        c.changed_by = names.get(c.student_id) || null;
+      });
+    }
+
+    // Guardians are emailed once the marks are committed (the queue lives in the same transaction)
+    await enqueueAbsenceNotifications(client, sessionIdInt, newlyAbsent);
+
+    // Subscribers only hear about marks that actually changed
+    if (changes.length > 0) {
+      await queueWebhookEvent(client, 'attendance.marked', {
+        session_id: sessionIdInt,
+        class_id: sessionClassId,
+        marked_by: req.user.id,
+        records: changes.map(({ version, ...change }) => change),
+      });
+      await publishLiveChange(client, {
+        type: 'attendance',
+        session_id: sessionIdInt,
+        class_id: sessionClassId,
+        records: changes.map(({ student_id, status, version }) => ({ student_id, status, version })),
+      });
+    }
+
+    const statusCode = conflicts.length > 0 ? 409 : 201;
+    const body = conflicts.length > 0
+      ? {
+        error: 'Some marks were changed by someone else since you loaded them and were not saved',
+        saved: changes,
+        conflicts,
+      }
+      : { message: 'Attendance saved successfully', saved: changes, conflicts };
+    if (idempotencyKey) {
+      await client.query(
+        'UPDATE attendance_sync_keys SET status_code = $1, response = $2 WHERE user_id = $3 AND idempotency_key = $4',
+        [statusCode, JSON.stringify(body), req.user.id, idempotencyKey]
+      );
+    }
+
+    await client.query('COMMIT');
+    if (changes.length > 0) {
+      kickWebhookQueue();
+    }
+    res.status(statusCode).json(body);
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    return handleDbError(err, res, 'Save attendance');
+  } finally {
+    client.release();
+  }
+});
+
+// Get attendance by session
+app.get('/api/attendance/by-session', requireAuth, requireRole('admin', 'teacher'), async (req, res) => {
+  const { session_id } = req.query;
+  if (!session_id) {
+    return res.status(400).json({ error: 'session_id is required' });
+  }
+
+  try {
+    const { sql: checkSql, params: checkParams } = convertPlaceholders(
+      'SELECT class_id FROM sessions WHERE id = ?',
+      [session_id]
+    );
+    const checkResult = await db.query(checkSql, checkParams);
+    
+    if (checkResult.rows.length === 0) {
+      return res.status(400).json({ error: 'Invalid session_id' });
+    }
+
+    if (!(await canAccessClass(req.user, checkResult.rows[0].class_id))) {
+      return res.status(403).json({ error: CLASS_FORBIDDEN_MESSAGE });
+    }
+
+    const { sql, params } = convertPlaceholders(
+      `SELECT a.id, a.status, a.marked_at, a.version, a.updated_at,
+             s.id AS student_id, s.name AS student_name, s.roll_number,
+             sess.date, sess.topic, sess.period, sess.start_time, sess.end_time, c.name AS class_name,
+             (SELECT COUNT(*) FROM checkin_rejections r
+              WHERE r.session_id = a.session_id AND r.student_id = a.student_id) AS rejected_checkins
+      FROM attendance a
+      JOIN students s ON a.student_id = s.id
+      JOIN sessions sess ON a.session_id = sess.id
+      JOIN classes c ON sess.class_id = c.id
+      WHERE a.session_id = ?
+      ORDER BY s.name`,
+      [session_id]
+    );
+    const result = await db.query(sql, params);
+    res.json(result.rows);
+  } catch (err) {
+    return handleDbError(err, res, 'Get attendance by session');
+  }
+});
+
+// Rejected self check-in attempts for a session, for review next to the by-session marks
+app.get('/api/attendance/by-session/rejections', requireAuth, requireRole('admin', 'teacher'), async (req, res) => {
+  let sessionId;
+  try {
+    sessionId = validateInteger(req.query.session_id, 'session_id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const sessionResult = await db.query('SELECT class_id FROM sessions WHERE id = $1', [sessionId]);
+    if (sessionResult.rows.length === 0) {
+      return res.status(400).json({ error: 'Invalid session_id' });
+    }
+    if (!(await canAccessClass(req.user, sessionResult.rows[0].class_id))) {
+      return res.status(403).json({ error: CLASS_FORBIDDEN_MESSAGE });
+    }
+
+    const result = await db.query(
+      `SELECT r.*, st.name AS student_name, st.roll_number, a.status AS current_status
+       FROM checkin_rejections r
+       JOIN students st ON st.id = r.student_id
+       LEFT JOIN attendance a ON a.session_id = r.session_id AND a.student_id = r.student_id
+       WHERE r.session_id = $1
+       ORDER BY r.created_at DESC, r.id DESC`,
+      [sessionId]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    return handleDbError(err, res, 'Get check-in rejections');
+  }
+});
+
+// --- Live attendance ---
+// Server-sent event streams. EventSource cannot send headers, so these are usually opened with
+// ?token=<auth token>. Each stream starts with a "snapshot" event listing the watched sessions
+// with their counts; "attendance" events follow whenever marks change and "session" events when
+// a session is created. An "end" event means the login session is over.
+
+// One session
+app.get('/api/live/sessions/:id', requireAuth, requireRole('admin', 'teacher'), async (req, res) => {
+  let sessionId;
+  try {
+    sessionId = validateInteger(req.params.id, 'session id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const result = await db.query('SELECT class_id FROM sessions WHERE id = $1', [sessionId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    if (!(await canAccessClass(req.user, result.rows[0].class_id))) {
+      return res.status(403).json({ error: CLASS_FORBIDDEN_MESSAGE });
+    }
+  } catch (err) {
+    return handleDbError(err, res, 'Open live session stream');
+  }
+
+  return openLiveStream(req, res, { sessionId });
+});
+
+// Every session of one class on ?date= (default today)
+app.get('/api/live/classes/:id', requireAuth, requireRole('admin', 'teacher'), async (req, res) => {
+  let classId;
+  let date;
+  try {
+    classId = validateInteger(req.params.id, 'class id');
+    date = await resolveLiveDate(req.query);
+  } catch (err) {
+    if (/^Invalid/.test(err.message)) {
+      return res.status(400).json({ error: err.message });
+    }
+    return handleDbError(err, res, 'Open live class stream');
+  }
+
+  try {
+    if (!(await classExists(classId))) {
+      return res.status(404).json({ error: 'Class not found' });
+    }
+    if (!(await canAccessClass(req.user, classId))) {
+      return res.status(403).json({ error: CLASS_FORBIDDEN_MESSAGE });
+    }
+  } catch (err) {
+    return handleDbError(err, res, 'Open live class stream');
+  }
+
+  return openLiveStream(req, res, { classIds: [classId], date });
+});
+
+// The live board: every session on ?date= (default today) in the classes the user can
+// access - all classes for admins, assigned classes for teachers
+app.get('/api/live/board', requireAuth, requireRole('admin', 'teacher'), async (req, res) => {
+  let date;
+  let classIds = null;
+  try {
+    date = await resolveLiveDate(req.query);
+    if (req.user.role === 'teacher') {
+      const result = await db.query(`${TEACHER_CLASS_IDS_SQL}$1`, [req.user.id]);
+      classIds = result.rows.map((r) => r.class_id);
+    }
+  } catch (err) {
+    if (/^Invalid/.test(err.message)) {
+      return res.status(400).json({ error: err.message });
+    }
+    return handleDbError(err, res, 'Open live board stream');
+  }
+
+  return openLiveStream(req, res, { classIds, date });
+});
+
+// --- Attendance history ---
+const ATTENDANCE_HISTORY_SQL = `
+  SELECT h.id, h.attendance_id, h.session_id, h.student_id, h.old_status, h.new_status,
+         h.changed_by, h.changed_by_name, h.reason, h.changed_at, h.client_marked_at,
+         st.name AS student_name, st.roll_number
+  FROM attendance_history h
+  LEFT JOIN students st ON st.id = h.student_id
+`;
+
+// Change history of one attendance record
+app.get('/api/attendance/:id/history', requireAuth, requireRole('admin', 'teacher'), async (req, res) => {
+  let attendanceId;
+  try {
+    attendanceId = validateInteger(req.params.id, 'attendance id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const result = await db.query(
+      ATTENDANCE_HISTORY_SQL + ' WHERE h.attendance_id = $1 ORDER BY h.changed_at, h.id',
+      [attendanceId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'No history found for this attendance record' });
+    }
+
+    const sessionResult = await db.query('SELECT class_id FROM sessions WHERE id = $1', [result.rows[0].session_id]);
+    if (req.user.role === 'teacher'
+      && (sessionResult.rows.length === 0 || !(await canAccessClass(req.user, sessionResult.rows[0].class_id)))) {
+      return res.status(403).json({ error: CLASS_FORBIDDEN_MESSAGE });
+    }
+
+    res.json(result.rows);
+  } catch (err) {
+    return handleDbError(err, res, 'Get attendance history');
+  }
+});
+
+// Per-session change log (admin)
+app.get('/api/attendance/history', requireAuth, requireRole('admin'), async (req, res) => {
+  let sessionId;
+  try {
+    sessionId = validateInteger(req.query.session_id, 'session_id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const result = await db.query(
+      ATTENDANCE_HISTORY_SQL + ' WHERE h.session_id = $1 ORDER BY h.changed_at DESC, h.id DESC',
+      [sessionId]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    return handleDbError(err, res, 'Get session change log');
+  }
+});
+
+// Export: per-session change log (CSV / PDF)
+app.get('/api/attendance/history/export', requireAuth, requireRole('admin'), async (req, res) => {
+  const { format = 'csv' } = req.query;
+  let sessionId;
+  try {
+    sessionId = validateInteger(req.query.session_id, 'session_id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const result = await db.query(
+      ATTENDANCE_HISTORY_SQL + ' WHERE h.session_id = $1 ORDER BY h.changed_at, h.id',
+      [sessionId]
+    );
+    const rows = result.rows;
+
+    if (format === 'pdf') {
+      return sendAttendanceHistoryPdf(res, rows, {
+        filename: `session-${sessionId}-history.pdf`,
+        title: `Attendance Change Log - Session #${sessionId}`,
+      });
+    }
+
+    return sendAttendanceHistoryCsv(res, rows, `session-${sessionId}-history`);
+  } catch (err) {
+    return handleDbError(err, res, 'Export session change log');
+  }
+});
+
+// --- Self check-in ---
+// A teacher opens a window on a session, shows the rotating code (or its QR payload) and students
+// submit it from their own accounts. Closing the window can mark everyone still unmarked absent.
+const OPEN_CHECKIN_WINDOW_SQL = `
+  SELECT w.*, sess.class_id, sess.date, ${sessionLockedSql('sess')} AS locked
+  FROM checkin_windows w
+  JOIN sessions sess ON sess.id = w.session_id
+  WHERE w.closed_at IS NULL
+`;
+
+// Window details for the teacher's display, including the code that is valid right now
+function describeCheckinWindow(window, checkedIn) {
+  const now = Date.now();
+  const step = checkinStep(window, now);
+  const code = checkinCode(window, step);
+  return {
+    window_id: window.id,
+    session_id: window.session_id,
+    opened_at: window.opened_at,
+    closes_at: window.closes_at,
+    code_ttl_seconds: window.code_ttl_seconds,
+    code,
+    code_expires_in: window.code_ttl_seconds - Math.floor((now / 1000) % window.code_ttl_seconds),
+    qr_payload: JSON.stringify({ window_id: window.id, code }),
+    checked_in: checkedIn,
+  };
+}
+
+async function loadCheckinSession(req, res) {
+  let sessionId;
+  try {
+    sessionId = validateInteger(req.params.id, 'session id');
+  } catch (validationErr) {
+    res.status(400).json({ error: validationErr.message });
+    return null;
+  }
+
+  const result = await db.query(
+    `SELECT s.id, s.class_id, ${sessionLockedSql('s')} AS locked, s.archived_at IS NOT NULL AS archived
+     FROM sessions s WHERE s.id = $1`,
+    [sessionId]
+  );
+  if (result.rows.length === 0) {
+    res.status(404).json({ error: 'Session not found' });
+    return null;
+  }
+  if (!(await canAccessClass(req.user, result.rows[0].class_id))) {
+    res.status(403).json({ error: CLASS_FORBIDDEN_MESSAGE });
+    return null;
+  }
+  return result.rows[0];
+}
+
+app.post('/api/sessions/:id/checkin-window', requireAuth, requireRole('admin', 'teacher'), async (req, res) => {
+  const minutes = req.body.duration_minutes === undefined ? CHECKIN_DEFAULT_MINUTES : parseInt(req.body.duration_minutes, 10);
+  if (isNaN(minutes) || minutes <= 0 || minutes > CHECKIN_MAX_MINUTES) {
+    return res.status(400).json({ error: `duration_minutes must be between 1 and ${CHECKIN_MAX_MINUTES}` });
+  }
+  const ttl = req.body.code_ttl_seconds === undefined
+    ? CHECKIN_DEFAULT_CODE_TTL_SECONDS
+    : parseInt(req.body.code_ttl_seconds, 10);
+  if (isNaN(ttl) || ttl < 10 || ttl > 600) {
+    return res.status(400).json({ error: 'code_ttl_seconds must be between 10 and 600' });
+  }
+
+  try {
+    const session = await loadCheckinSession(req, res);
+    if (!session) return;
+    if (session.locked) {
+      return res.status(423).json({ error: SESSION_LOCKED_MESSAGE });
+    }
+
+    const result = await db.query(
+      `INSERT INTO checkin_windows (session_id, secret, code_ttl_seconds, opened_by, closes_at)
+       VALUES ($1, $2, $3, $4, NOW() + ($5::int * INTERVAL '1 minute'))
+       RETURNING *`,
+      [session.id, crypto.randomBytes(32).toString('hex'), ttl, req.user.id, minutes]
+    );
+    res.status(201).json(describeCheckinWindow(result.rows[0], 0));
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'A check-in window is already open for this session' });
+    }
+    return handleDbError(err, res, 'Open check-in window');
+  }
+});
+
+// Poll this to keep the displayed code current
+app.get('/api/sessions/:id/checkin-window', requireAuth, requireRole('admin', 'teacher'), async (req, res) => {
+  try {
+    const session = await loadCheckinSession(req, res);
+    if (!session) return;
+
+    const result = await db.query(`${OPEN_CHECKIN_WINDOW_SQL} AND w.session_id = $1`, [session.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'No check-in window is open for this session' });
+    }
+    const window = result.rows[0];
+    const count = await db.query('SELECT COUNT(*) AS count FROM checkins WHERE window_id = $1', [window.id]);
+    res.json(Object.assign(describeCheckinWindow(window, parseInt(count.rows[0].count, 10)), {
+      expired: new Date(window.closes_at) <= new Date(),
+    }));
+  } catch (err) {
+    return handleDbError(err, res, 'Get check-in window');
+  }
+});
+
+app.post('/api/sessions/:id/checkin-window/close', requireAuth, requireRole('admin', 'teacher'), async (req, res) => {
+  const markAbsent = req.body.mark_absent === true;
+
+  try {
+    const session = await loadCheckinSession(req, res);
+    if (!session) return;
+    // Archived sessions are read-only for everyone; admins may still fill in other locked ones
+    if (markAbsent && session.archived) {
+      return res.status(423).json({ error: SESSION_ARCHIVED_MESSAGE });
+    }
+    if (markAbsent && session.locked && req.user.role !== 'admin') {
+      return res.status(423).json({ error: SESSION_LOCKED_MESSAGE });
+    }
+
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const closed = await client.query(
+        `UPDATE checkin_windows SET closed_at = NOW(), closed_by = $1
+         WHERE session_id = $2 AND closed_at IS NULL
+         RETURNING id`,
+        [req.user.id, session.id]
+      );
+      if (closed.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'No check-in window is open for this session' });
+      }
+      const windowId = closed.rows[0].id;
+
+      let absent = [];
+      if (markAbsent) {
+        // Everyone enrolled in the class on the session date who neither checked in nor was marked by the teacher
+        const inserted = await client.query(
+          `INSERT INTO attendance (session_id, student_id, status, marked_at)
+           SELECT DISTINCT sess.id, e.student_id, 'absent', CURRENT_TIMESTAMP
+           FROM sessions sess
+           JOIN enrollments e ON ${sessionEnrollmentSql('sess', 'e')}
+           WHERE sess.id = $1 AND sess.archived_at IS NULL
+           ON CONFLICT (session_id, student_id) DO NOTHING
+           RETURNING id, student_id`,
+          [session.id]
+        );
+        absent = inserted.rows;
+        for (const row of absent) {
+          await recordAttendanceChange(client, {
+            attendanceId: row.id,
+            sessionId: session.id,
+            studentId: row.student_id,
+            oldStatus: null,
+            newStatus: 'absent',
+            user: req.user,
+            reason: 'Check-in window closed',
+          });
+        }
+        await enqueueAbsenceNotifications(client, session.id, absent.map((r) => r.student_id));
+        await announceAttendanceChanges(client, session, req.user,
+          absent.map((r) => ({ student_id: r.student_id, status: 'absent', previous_status: null })));
+      }
+
+      const count = await client.query('SELECT COUNT(*) AS count FROM checkins WHERE window_id = $1', [windowId]);
+      await client.query('COMMIT');
+      if (absent.length > 0) {
+        kickWebhookQueue();
+      }
+      res.json({
+        window_id: windowId,
+        checked_in: parseInt(count.rows[0].count, 10),
+        marked_absent: absent.length,
+      });
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    return handleDbError(err, res, 'Close check-in window');
+  }
+});
+
+// Location constraints for a class (/api/classes/:id/checkin-constraints) or a session
+// (/api/sessions/:id/checkin-constraints). PUT replaces them; send null fields to drop a part.
+function buildCheckinConstraintValues(body) {
+  const values = { allowed_cidrs: null, latitude: null, longitude: null, radius_meters: null };
+  if (body.allowed_cidrs !== undefined && body.allowed_cidrs !== null) {
+    values.allowed_cidrs = validateCidrs(body.allowed_cidrs);
+  }
+  const geo = ['latitude', 'longitude', 'radius_meters'].filter((f) => body[f] !== undefined && body[f] !== null && body[f] !== '');
+  if (geo.length > 0) {
+    if (geo.length < 3) {
+      throw new Error('latitude, longitude and radius_meters must be given together');
+    }
+    values.latitude = Number(body.latitude);
+    values.longitude = Number(body.longitude);
+    values.radius_meters = parseInt(body.radius_meters, 10);
+    if (isNaN(values.latitude) || Math.abs(values.latitude) > 90 || isNaN(values.longitude) || Math.abs(values.longitude) > 180) {
+      throw new Error('Invalid latitude or longitude');
+    }
+    if (isNaN(values.radius_meters) || values.radius_meters <= 0) {
+      throw new Error('Invalid radius_meters: must be a positive number of meters');
+    }
+  }
+  if (!values.allowed_cidrs && values.radius_meters === null) {
+    throw new Error('Provide allowed_cidrs and/or latitude, longitude and radius_meters');
+  }
+  return values;
+}
+
+// Resolves the :id of a class or session route to the owning class, enforcing access
+async function resolveConstraintTarget(req, res, target) {
+  let id;
+  try {
+    id = validateInteger(req.params.id, `${target} id`);
+  } catch (validationErr) {
+    res.status(400).json({ error: validationErr.message });
+    return null;
+  }
+  const result = target === 'class'
+    ? await db.query('SELECT id AS class_id FROM classes WHERE id = $1', [id])
+    : await db.query('SELECT class_id FROM sessions WHERE id = $1', [id]);
+  if (result.rows.length === 0) {
+    res.status(404).json({ error: target === 'class' ? 'Class not found' : 'Session not found' });
+    return null;
+  }
+  if (!(await canAccessClass(req.user, result.rows[0].class_id))) {
+    res.status(403).json({ error: CLASS_FORBIDDEN_MESSAGE });
+    return null;
+  }
+  return { id, column: target === 'class' ? 'class_id' : 'session_id' };
+}
+
+function checkinConstraintHandlers(target) {
+  const get = async (req, res) => {
+    try {
+      const resolved = await resolveConstraintTarget(req, res, target);
+      if (!resolved) return;
+      const result = await db.query(`SELECT * FROM checkin_constraints WHERE ${resolved.column} = $1`, [resolved.id]);
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'No check-in constraints set' });
+      }
+      res.json(result.rows[0]);
+    } catch (err) {
+      return handleDbError(err, res, 'Get check-in constraints');
+    }
+  };
+
+  const put = async (req, res) => {
+    let values;
+    try {
+      values = buildCheckinConstraintValues(req.body);
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
+    }
+
+    try {
+      const resolved = await resolveConstraintTarget(req, res, target);
+      if (!resolved) return;
+      const result = await db.query(
+        `INSERT INTO checkin_constraints (${resolved.column}, allowed_cidrs, latitude, longitude, radius_meters, updated_by)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (${resolved.column}) DO UPDATE
+         SET allowed_cidrs = EXCLUDED.allowed_cidrs, latitude = EXCLUDED.latitude, longitude = EXCLUDED.longitude,
+             radius_meters = EXCLUDED.radius_meters, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+         RETURNING *`,
+        [resolved.id, values.allowed_cidrs, values.latitude, values.longitude, values.radius_meters, req.user.id]
+      );
+      res.json(result.rows[0]);
+    } catch (err) {
+      return handleDbError(err, res, 'Save check-in constraints');
+    }
+  };
+
+  const remove = async (req, res) => {
+    try {
+      const resolved = await resolveConstraintTarget(req, res, target);
+      if (!resolved) return;
+      const result = await db.query(`DELETE FROM checkin_constraints WHERE ${resolved.column} = $1 RETURNING id`, [resolved.id]);
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'No check-in constraints set' });
+      }
+      res.json({ message: 'Check-in constraints removed' });
+    } catch (err) {
+      return handleDbError(err, res, 'Delete check-in constraints');
+    }
+  };
+
+  return { get, put, remove };
+}
+
+const classConstraintHandlers = checkinConstraintHandlers('class');
+const sessionConstraintHandlers = checkinConstraintHandlers('session');
+
+app.get('/api/classes/:id/checkin-constraints', requireAuth, requireRole('admin', 'teacher'), classConstraintHandlers.get);
+app.put('/api/classes/:id/checkin-constraints', requireAuth, requireRole('admin', 'teacher'), classConstraintHandlers.put);
+app.delete('/api/classes/:id/checkin-constraints', requireAuth, requireRole('admin', 'teacher'), classConstraintHandlers.remove);
+app.get('/api/sessions/:id/checkin-constraints', requireAuth, requireRole('admin', 'teacher'), sessionConstraintHandlers.get);
+app.put('/api/sessions/:id/checkin-constraints', requireAuth, requireRole('admin', 'teacher'), sessionConstraintHandlers.put);
+app.delete('/api/sessions/:id/checkin-constraints', requireAuth, requireRole('admin', 'teacher'), sessionConstraintHandlers.remove);
+
+// Logged outside the check-in transaction, which has been rolled back by the time this runs
+// Coordinates are only logged when the client actually sent a number (Number(null) is 0, which
+// would put the attempt at 0,0)
+function rejectionCoordinate(value, limit) {
+  if (typeof value !== 'number' && (typeof value !== 'string' || value.trim() === '')) {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) && Math.abs(number) <= limit ? number : null;
+}
+
+async function recordCheckinRejection(req, window, rejection) {
+  await db.query(
+    `INSERT INTO checkin_rejections
+       (session_id, window_id, student_id, reason, details, ip_address, latitude, longitude, user_agent)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      window.session_id,
+      window.id,
+      req.user.student_id,
+      rejection.reason,
+      rejection.details || null,
+      req.ip || null,
+      rejectionCoordinate(req.body.latitude, 90),
+      rejectionCoordinate(req.body.longitude, 180),
+      req.headers['user-agent'] || null,
+    ]
+  );
+}
+
+// Students check themselves in with the QR payload { window_id, code }, with { session_id, code },
+// or with just { code }, which is matched against the open windows of their class.
+app.post('/api/checkin', requireAuth, requireRole('student'), async (req, res) => {
+  const { window_id, session_id, code } = req.body;
+  if (!code) {
+    return res.status(400).json({ error: 'code is required' });
+  }
+  if (!req.user.student_id) {
+    return res.status(403).json({ error: 'Forbidden: This account is not linked to a student' });
+  }
+
+  let lookup = null;
+  try {
+    if (window_id) {
+      lookup = { sql: 'w.id = $1', value: validateInteger(window_id, 'window_id') };
+    } else if (session_id) {
+      lookup = { sql: 'w.session_id = $1', value: validateInteger(session_id, 'session_id') };
+    }
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    const studentResult = await client.query('SELECT class_id FROM students WHERE id = $1', [req.user.student_id]);
+    if (studentResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Forbidden: This account is not linked to a student' });
+    }
+    const studentClassId = studentResult.rows[0].class_id;
+
+    const windowResult = await client.query(
+      `${OPEN_CHECKIN_WINDOW_SQL} AND w.closes_at > NOW() AND ${lookup ? lookup.sql : 'sess.class_id = $1'}
+       FOR UPDATE OF w`,
+      [lookup ? lookup.value : studentClassId]
+    );
+    if (windowResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(410).json({ error: 'Check-in is not open for this session' });
+    }
+    if (lookup && windowResult.rows[0].class_id !== studentClassId) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Forbidden: This session is not for your class' });
+    }
+
+    let window = null;
+    let step = null;
+    for (const candidate of windowResult.rows) {
+      step = matchCheckinCode(candidate, code);
+      if (step !== null) {
+        window = candidate;
+        break;
+      }
+    }
+    if (!window) {
+      await client.query('ROLLBACK');
+      // Only attributable to a session when the student named one
+      if (lookup) {
+        await recordCheckinRejection(req, windowResult.rows[0], { reason: 'invalid_code', details: 'Invalid or expired code' });
+      }
+      return res.status(400).json({ error: 'Invalid or expired check-in code' });
+    }
+    if (window.locked) {
+      await client.query('ROLLBACK');
+      return res.status(423).json({ error: 'Attendance for this session is locked' });
+    }
+
+    const constraints = await getCheckinConstraints(window.session_id, window.class_id, client);
+    const rejection = checkCheckinLocation(constraints, req.ip, req.body.latitude, req.body.longitude);
+    if (rejection) {
+      await client.query('ROLLBACK');
+      await recordCheckinRejection(req, window, rejection);
+      return res.status(403).json({ error: `Check-in rejected: ${rejection.details}`, reason: rejection.reason });
+    }
+
+    // One check-in per student and window; a second submission is treated as a replay
+    const checkin = await client.query(
+      `INSERT INTO checkins (window_id, student_id, code_step, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (window_id, student_id) DO NOTHING
+       RETURNING id, checked_in_at`,
+      [window.id, req.user.student_id, step, req.ip || null, req.headers['user-agent'] || null]
+    );
+    if (checkin.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'You have already checked in to this session' });
+    }
+
+    // Never overwrite a mark the teacher has already made
+    const marked = await client.query(
+      `INSERT INTO attendance (session_id, student_id, status, marked_at)
+       VALUES ($1, $2, 'present', CURRENT_TIMESTAMP)
+       ON CONFLICT (session_id, student_id) DO NOTHING
+       RETURNING id`,
+      [window.session_id, req.user.student_id]
+    );
+    if (marked.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Your attendance for this session has already been recorded' });
+    }
+
+    await recordAttendanceChange(client, {
+      attendanceId: marked.rows[0].id,
+      sessionId: window.session_id,
+      studentId: req.user.student_id,
+      oldStatus: null,
+      newStatus: 'present',
+      user: req.user,
+      reason: 'Self check-in',
+    });
+    await queueWebhookEvent(client, 'attendance.marked', {
+      session_id: window.session_id,
+      class_id: window.class_id,
+      marked_by: req.user.id,
+      records: [{ student_id: req.user.student_id, status: 'present', previous_status: null }],
+    });
+    await publishLiveChange(client, {
+      type: 'attendance',
+      session_id: window.session_id,
+      class_id: window.class_id,
+      records: [{ student_id: req.user.student_id, status: 'present' }],
+    });
+
+    await client.query('COMMIT');
+    kickWebhookQueue();
+    res.status(201).json({
+      message: 'Checked in',
+      session_id: window.session_id,
+      status: 'present',
+      checked_in_at: checkin.rows[0].checked_in_at,
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    return handleDbError(err, res, 'Check in');
+  } finally {
+    client.release();
+  }
+});
+
+// --- Attendance corrections ---
+// Once a session is locked, marks change only through a correction request:
+// a teacher (for their classes) or a student (for themselves) asks, an admin decides.
+const CORRECTION_SELECT_SQL = `
+  SELECT cr.*, st.name AS student_name, st.roll_number,
+         sess.date, sess.topic, sess.period, sess.start_time, sess.end_time, sess.class_id, c.name AS class_name,
+         ru.username AS requested_by_name, rv.username AS reviewed_by_name
+  FROM attendance_corrections cr
+  JOIN students st ON st.id = cr.student_id
+  JOIN sessions sess ON sess.id = cr.session_id
+  JOIN classes c ON c.id = sess.class_id
+  LEFT JOIN users ru ON ru.id = cr.requested_by
+  LEFT JOIN users rv ON rv.id = cr.reviewed_by
+`;
+
+app.get('/api/corrections', requireAuth, async (req, res) => {
+  const { status, session_id } = req.query;
+  const user = req.user;
+
+  try {
+    let sql = CORRECTION_SELECT_SQL;
+    const params = [];
+    const where = [];
+
+    if (user.role === 'student') {
+      if (!user.student_id) {
+        return res.json([]);
+      }
+      where.push(`cr.student_id = $${params.length + 1}`);
+      params.push(user.student_id);
+    } else if (user.role === 'teacher') {
+      where.push(`sess.class_id IN (${TEACHER_CLASS_IDS_SQL}$${params.length + 1})`);
+      params.push(user.id);
+    }
+
+    if (status) {
+      where.push(`cr.status = $${params.length + 1}`);
+      params.push(status);
+    }
+    if (session_id) {
+      where.push(`cr.session_id = $${params.length + 1}`);
+      params.push(validateInteger(session_id, 'session_id'));
+    }
+
+    if (where.length > 0) {
+      sql += ' WHERE ' + where.join(' AND ');
+    }
+
+    sql += ' ORDER BY cr.created_at DESC, cr.id DESC';
+    const result = await db.query(sql, params);
+    res.json(result.rows);
+  } catch (err) {
+    if (/^Invalid/.test(err.message)) {
+      return res.status(400).json({ error: err.message });
+    }
+    return handleDbError(err, res, 'Get correction requests');
+  }
+});
+
+app.post('/api/corrections', requireAuth, requireRole('teacher', 'student'), async (req, res) => {
+  const { session_id, requested_status, reason } = req.body;
+  const user = req.user;
+
+  if (!session_id || !requested_status || !reason || !String(reason).trim()) {
+    return res.status(400).json({ error: 'session_id, requested_status and reason are required' });
+  }
+
+  let sessionId;
+  let studentId;
+  try {
+    sessionId = validateInteger(session_id, 'session_id');
+    // Students can only ask about their own attendance
+    studentId = user.role === 'student'
+      ? validateInteger(user.student_id, 'student_id')
+      : validateInteger(req.body.student_id, 'student_id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const sessionResult = await db.query('SELECT class_id, archived_at FROM sessions WHERE id = $1', [sessionId]);
+    if (sessionResult.rows.length === 0) {
+      return res.status(400).json({ error: 'Invalid session_id' });
+    }
+    if (sessionResult.rows[0].archived_at) {
+      return res.status(423).json({ error: SESSION_ARCHIVED_MESSAGE });
+    }
+    const sessionClassId = sessionResult.rows[0].class_id;
+
+    // Students may ask about sessions of a class they have since left; the enrollment check covers them
+    if (user.role !== 'student' && !(await canAccessClass(user, sessionClassId))) {
+      return res.status(403).json({ error: CLASS_FORBIDDEN_MESSAGE });
+    }
+
+    const enrolled = await findSessionEnrollees(db, sessionId, [studentId]);
+    if (!enrolled.has(studentId)) {
+      return res.status(400).json({ error: 'Student does not belong to this session\'s class' });
+    }
+
+    const statusCode = String(requested_status).toLowerCase();
+    const validStatuses = (await getAttendanceStatuses()).map((st) => st.code);
+    if (!validStatuses.includes(statusCode)) {
+      return res.status(400).json({ error: `Invalid requested_status. Must be one of: ${validStatuses.join(', ')}` });
+    }
+
+    const pending = await db.query(
+      "SELECT id FROM attendance_corrections WHERE session_id = $1 AND student_id = $2 AND status = 'pending'",
+      [sessionId, studentId]
+    );
+    if (pending.rows.length > 0) {
+      return res.status(409).json({ error: 'A correction request for this record is already pending', id: pending.rows[0].id });
+    }
+
+    const currentResult = await db.query(
+      'SELECT status FROM attendance WHERE session_id = $1 AND student_id = $2',
+      [sessionId, studentId]
+    );
+    const currentStatus = currentResult.rows[0] ? currentResult.rows[0].status : null;
+    if (currentStatus === statusCode) {
+      return res.status(400).json({ error: 'The attendance record already has this status' });
+    }
+
+    const { sql, params } = convertPlaceholders(
+      `INSERT INTO attendance_corrections (session_id, student_id, current_status, requested_status, reason, requested_by)
+       VALUES (?, ?, ?, ?, ?, ?)
+       RETURNING *`,
+      [sessionId, studentId, currentStatus, statusCode, String(reason).trim(), user.id]
+    );
+    const result = await db.query(sql, params);
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    return handleDbError(err, res, 'Create correction request');
+  }
+});
+
+// Admin decision. Approval applies the requested status and records it in the attendance history.
+async function reviewCorrection(req, res, decision) {
+  let correctionId;
+  try {
+    correctionId = validateInteger(req.params.id, 'correction id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    const correctionResult = await client.query(
+      'SELECT * FROM attendance_corrections WHERE id = $1 FOR UPDATE',
+      [correctionId]
+    );
+    const correction = correctionResult.rows[0];
+    if (!correction) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Correction request not found' });
+    }
+    if (correction.status !== 'pending') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: `Correction request is already ${correction.status}` });
+    }
+
+    if (decision === 'approved') {
+      const sessionResult = await client.query('SELECT id, class_id, archived_at FROM sessions WHERE id = $1', [correction.session_id]);
+      if (sessionResult.rows[0] && sessionResult.rows[0].archived_at) {
+        await client.query('ROLLBACK');
+        return res.status(423).json({ error: SESSION_ARCHIVED_MESSAGE });
+      }
+      const previousResult = await client.query(
+        'SELECT status FROM attendance WHERE session_id = $1 AND student_id = $2 FOR UPDATE',
+        [correction.session_id, correction.student_id]
       );
-      const result = await db.query(sql, params);
-      return res.json(result.rows);
+      const upsertResult = await client.query(
+        `INSERT INTO attendance (session_id, student_id, status, marked_at)
+         VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+         ON CONFLICT(session_id, student_id)
+         DO UPDATE SET status = EXCLUDED.status, version = attendance.version + 1, updated_at = CURRENT_TIMESTAMP
+         RETURNING id`,
+        [correction.session_id, correction.student_id, correction.requested_status]
+      );
+      const previousStatus = previousResult.rows[0] ? previousResult.rows[0].status : null;
+      await recordAttendanceChange(client, {
+        attendanceId: upsertResult.rows[0].id,
+        sessionId: correction.session_id,
+        studentId: correction.student_id,
+        oldStatus: previousStatus,
+        newStatus: correction.requested_status,
+        user: req.user,
+        reason: `Correction #${correction.id}: ${correction.reason}`,
+      });
+      if (correction.requested_status === 'absent') {
+        await enqueueAbsenceNotifications(client, correction.session_id, [correction.student_id]);
+      }
+      await announceAttendanceChanges(client, sessionResult.rows[0], req.user, [{
+        student_id: correction.student_id,
+        status: correction.requested_status,
+        previous_status: previousStatus,
+      }]);
     }
 
-    // Admins and teachers can list students, optionally filtered by class.
-    let sql = 'SELECT * FROM students';
+    const updateResult = await client.query(
+      `UPDATE attendance_corrections
+       SET status = $1, reviewed_by = $2, review_note = $3, reviewed_at = NOW()
+       WHERE id = $4
+       RETURNING *`,
+      [decision, req.user.id, req.body.note || null, correctionId]
+    );
+
+    await client.query('COMMIT');
+    if (decision === 'approved') {
+      kickWebhookQueue();
+    }
+    res.json(updateResult.rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    return handleDbError(err, res, 'Review correction request');
+  } finally {
+    client.release();
+  }
+}
+
+app.post('/api/corrections/:id/approve', requireAuth, requireRole('admin'), (req, res) => reviewCorrection(req, res, 'approved'));
+app.post('/api/corrections/:id/reject', requireAuth, requireRole('admin'), (req, res) => reviewCorrection(req, res, 'rejected'));
+
+// --- Leave requests ---
+// Students apply for leave ahead of time; the class teacher or an admin approves or rejects.
+const LEAVE_SELECT_SQL = `
+  SELECT lr.*, st.name AS student_name, st.roll_number, st.class_id, c.name AS class_name,
+         rv.username AS reviewed_by_name
+  FROM leave_requests lr
+  JOIN students st ON st.id = lr.student_id
+  JOIN classes c ON c.id = st.class_id
+  LEFT JOIN users rv ON rv.id = lr.reviewed_by
+`;
+
+app.get('/api/leave-requests', requireAuth, async (req, res) => {
+  const { status, student_id } = req.query;
+  const user = req.user;
+
+  try {
+    let sql = LEAVE_SELECT_SQL;
     const params = [];
     const where = [];
 
-    if (class_id) {
-      where.push(`class_id = $${params.length + 1}`);
-      params.push(class_id);
+    if (user.role === 'student') {
+      if (!user.student_id) {
+        return res.json([]);
+      }
+      where.push(`lr.student_id = $${params.length + 1}`);
+      params.push(user.student_id);
+    } else if (user.role === 'teacher') {
+      where.push(`st.class_id IN (${TEACHER_CLASS_IDS_SQL}$${params.length + 1})`);
+      params.push(user.id);
+    }
+
+    if (status) {
+      where.push(`lr.status = $${params.length + 1}`);
+      params.push(status);
+    }
+    if (student_id && user.role !== 'student') {
+      where.push(`lr.student_id = $${params.length + 1}`);
+      params.push(validateInteger(student_id, 'student_id'));
     }
 
     if (where.length > 0) {
       sql += ' WHERE ' + where.join(' AND ');
     }
 
-    sql += ' ORDER BY name';
+    sql += ' ORDER BY lr.start_date DESC, lr.id DESC';
     const result = await db.query(sql, params);
     res.json(result.rows);
   } catch (err) {
-    return handleDbError(err, res, 'Get students');
+    if (/^Invalid/.test(err.message)) {
+      return res.status(400).json({ error: err.message });
+    }
+    return handleDbError(err, res, 'Get leave requests');
   }
 });
 
-app.post('/api/students', requireAuth, requireRole('admin'), async (req, res) => {
-  const { name, roll_number, class_id } = req.body;
-  if (!name || !class_id) {
-    return res.status(400).json({ error: 'Student name and class_id are required' });
+app.post('/api/leave-requests', requireAuth, requireRole('student'), async (req, res) => {
+  const { start_date, end_date, reason } = req.body;
+  const user = req.user;
+
+  if (!user.student_id) {
+    return res.status(403).json({ error: 'Your account is not linked to a student record' });
+  }
+  if (!start_date || !end_date || !reason || !String(reason).trim()) {
+    return res.status(400).json({ error: 'start_date, end_date and reason are required' });
+  }
+
+  try {
+    validateDate(start_date);
+    validateDate(end_date);
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+  if (start_date > end_date) {
+    return res.status(400).json({ error: 'start_date must be on or before end_date' });
+  }
+
+  try {
+    const overlap = await db.query(
+      `SELECT id FROM leave_requests
+       WHERE student_id = $1 AND status IN ('pending', 'approved')
+         AND start_date <= $3 AND end_date >= $2`,
+      [user.student_id, start_date, end_date]
+    );
+    if (overlap.rows.length > 0) {
+      return res.status(409).json({ error: 'You already have a leave request covering these dates', id: overlap.rows[0].id });
+    }
+
+    const { sql, params } = convertPlaceholders(
+      `INSERT INTO leave_requests (student_id, start_date, end_date, reason, requested_by)
+       VALUES (?, ?, ?, ?, ?)
+       RETURNING *`,
+      [user.student_id, start_date, end_date, String(reason).trim(), user.id]
+    );
+    const result = await db.query(sql, params);
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    return handleDbError(err, res, 'Create leave request');
+  }
+});
+
+app.post('/api/leave-requests/:id/cancel', requireAuth, requireRole('student'), async (req, res) => {
+  let leaveId;
+  try {
+    leaveId = validateInteger(req.params.id, 'leave request id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const result = await db.query(
+      `UPDATE leave_requests SET status = 'cancelled'
+       WHERE id = $1 AND student_id = $2 AND status = 'pending'
+       RETURNING *`,
+      [leaveId, req.user.student_id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'No pending leave request found' });
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    return handleDbError(err, res, 'Cancel leave request');
+  }
+});
+
+// Approval also pre-marks sessions that already exist in the range and are still unmarked.
+async function reviewLeaveRequest(req, res, decision) {
+  let leaveId;
+  try {
+    leaveId = validateInteger(req.params.id, 'leave request id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    const leaveResult = await client.query(
+      `SELECT lr.*, st.class_id
+       FROM leave_requests lr
+       JOIN students st ON st.id = lr.student_id
+       WHERE lr.id = $1
+       FOR UPDATE OF lr`,
+      [leaveId]
+    );
+    const leave = leaveResult.rows[0];
+    if (!leave) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Leave request not found' });
+    }
+    if (!(await canAccessClass(req.user, leave.class_id, client))) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: CLASS_FORBIDDEN_MESSAGE });
+    }
+    if (leave.status !== 'pending') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: `Leave request is already ${leave.status}` });
+    }
+
+    const updateResult = await client.query(
+      `UPDATE leave_requests
+       SET status = $1, reviewed_by = $2, review_note = $3, reviewed_at = NOW()
+       WHERE id = $4
+       RETURNING *`,
+      [decision, req.user.id, req.body.note || null, leaveId]
+    );
+
+    let sessionsMarked = 0;
+    const skippedLocked = [];
+    if (decision === 'approved') {
+      // Locked and archived sessions keep their marks; a correction request is needed there
+      const sessionsResult = await client.query(
+        `SELECT id, date, ${sessionLockedSql('sessions')} AS locked
+         FROM sessions
+         WHERE class_id = $1 AND date BETWEEN $2 AND $3
+         ORDER BY date, id`,
+        [leave.class_id, leave.start_date, leave.end_date]
+      );
+      for (const session of sessionsResult.rows) {
+        if (session.locked) {
+          skippedLocked.push({ session_id: session.id, date: toDateString(session.date) });
+          continue;
+        }
+        sessionsMarked += await applyApprovedLeave(client, session.id, req.user);
+      }
+    }
+
+    await client.query('COMMIT');
+    if (sessionsMarked > 0) {
+      kickWebhookQueue();
+    }
+    res.json(Object.assign(updateResult.rows[0], {
+      sessions_marked: sessionsMarked,
+      skipped_locked_sessions: skippedLocked,
+    }));
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    return handleDbError(err, res, 'Review leave request');
+  } finally {
+    client.release();
+  }
+}
+
+app.post('/api/leave-requests/:id/approve', requireAuth, requireRole('admin', 'teacher'), (req, res) => reviewLeaveRequest(req, res, 'approved'));
+app.post('/api/leave-requests/:id/reject', requireAuth, requireRole('admin', 'teacher'), (req, res) => reviewLeaveRequest(req, res, 'rejected'));
+
+// --- Attendance alerts ---
+// Raised by the background scan in alerts.js; admins see every alert, teachers those of their classes.
+const ALERT_STATUS_FILTERS = {
+  open: 'al.acknowledged_at IS NULL AND al.resolved_at IS NULL',
+  acknowledged: 'al.acknowledged_at IS NOT NULL AND al.resolved_at IS NULL',
+  resolved: 'al.resolved_at IS NOT NULL',
+  all: 'TRUE',
+};
+
+const ALERT_SELECT_SQL = `
+  SELECT al.*, st.name AS student_name, st.roll_number, c.name AS class_name,
+         COALESCE(u.display_name, u.username) AS acknowledged_by_name,
+         CASE WHEN al.resolved_at IS NOT NULL THEN 'resolved'
+              WHEN al.acknowledged_at IS NOT NULL THEN 'acknowledged'
+              ELSE 'open' END AS status
+  FROM attendance_alerts al
+  JOIN students st ON st.id = al.student_id
+  LEFT JOIN classes c ON c.id = al.class_id
+  LEFT JOIN users u ON u.id = al.acknowledged_by
+`;
+
+app.get('/api/alerts', requireAuth, requireRole('admin', 'teacher'), async (req, res) => {
+  const { status = 'open', class_id, alert_type } = req.query;
+  if (!ALERT_STATUS_FILTERS[status]) {
+    return res.status(400).json({ error: `Invalid status. Must be one of: ${Object.keys(ALERT_STATUS_FILTERS).join(', ')}` });
+  }
+  if (alert_type && !ALERT_TYPES.includes(alert_type)) {
+    return res.status(400).json({ error: `Invalid alert_type. Must be one of: ${ALERT_TYPES.join(', ')}` });
+  }
+
+  try {
+    const where = [ALERT_STATUS_FILTERS[status]];
+    const params = [];
+    if (class_id) {
+      params.push(validateInteger(class_id, 'class_id'));
+      where.push(`al.class_id = $${params.length}`);
+    }
+    if (alert_type) {
+      params.push(alert_type);
+      where.push(`al.alert_type = $${params.length}`);
+    }
+    if (req.user.role === 'teacher') {
+      params.push(req.user.id);
+      where.push(`al.class_id IN (${TEACHER_CLASS_IDS_SQL}$${params.length})`);
+    }
+
+    const result = await db.query(
+      `${ALERT_SELECT_SQL} WHERE ${where.join(' AND ')} ORDER BY al.created_at DESC, al.id DESC`,
+      params
+    );
+    res.json(result.rows);
+  } catch (err) {
+    if (/^Invalid/.test(err.message)) {
+      return res.status(400).json({ error: err.message });
+    }
+    return handleDbError(err, res, 'Get alerts');
   }
+});
 
-  const classIdInt = parseInt(class_id, 10);
-  if (isNaN(classIdInt) || classIdInt <= 0) {
-    return res.status(400).json({ error: 'Invalid class_id' });
+app.post('/api/alerts/:id/acknowledge', requireAuth, requireRole('admin', 'teacher'), async (req, res) => {
+  let alertId;
+  try {
+    alertId = validateInteger(req.params.id, 'alert id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
   }
 
   try {
-    // Validate class exists
-    const { sql: checkSql, params: checkParams } = convertPlaceholders(
-      'SELECT id FROM classes WHERE id = ?',
-      [classIdInt]
-    );
-    const checkResult = await db.query(checkSql, checkParams);
-    
-    if (checkResult.rows.length === 0) {
-      return res.status(400).json({ error: 'Invalid class_id: class does not exist' });
+    const existing = await db.query('SELECT class_id, acknowledged_at FROM attendance_alerts WHERE id = $1', [alertId]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    if (!(await canAccessClass(req.user, existing.rows[0].class_id))) {
+      return res.status(403).json({ error: CLASS_FORBIDDEN_MESSAGE });
+    }
+    if (existing.rows[0].acknowledged_at) {
+      return res.status(409).json({ error: 'Alert has already been acknowledged' });
     }
 
-    const { sql, params } = convertPlaceholders(
-      'INSERT INTO students (name, roll_number, class_id) VALUES (?, ?, ?) RETURNING id',
-      [name, roll_number || null, classIdInt]
+    await db.query(
+      `UPDATE attendance_alerts
+       SET acknowledged_at = NOW(), acknowledged_by = $1, acknowledgement_note = $2
+       WHERE id = $3`,
+      [req.user.id, req.body.note || null, alertId]
     );
-    const result = await db.query(sql, params);
-    res.status(201).json({ id: result.rows[0].id, name, roll_number: roll_number || null, class_id: classIdInt });
+    const result = await db.query(`${ALERT_SELECT_SQL} WHERE al.id = $1`, [alertId]);
+    res.json(result.rows[0]);
   } catch (err) {
-    return handleDbError(err, res, 'Add student');
+    return handleDbError(err, res, 'Acknowledge alert');
   }
 });
 
-// --- Teachers ---
-// Teachers are stored in the users table with role = 'teacher'.
-// These endpoints let admins list and create teacher accounts.
-app.get('/api/teachers', requireAuth, requireRole('admin'), async (req, res) => {
-  const { class_id } = req.query;
-
+// Run the scan now instead of waiting for the next scheduled run
+app.post('/api/alerts/scan', requireAuth, requireRole('admin'), async (req, res) => {
   try {
-    let sql = `
-      SELECT u.id,
-             u.username,
-             u.display_name,
-             u.class_id,
-             u.email,
-             u.phone,
-             u.subject,
-             u.experience,
-             c.name AS class_name
-      FROM users u
-      LEFT JOIN classes c ON u.class_id = c.id
-      WHERE u.role = 'teacher'
-    `;
-
-    const params = [];
-    if (class_id) {
-      sql += ` AND u.class_id = $${params.length + 1}`;
-      params.push(class_id);
-    }
-
-    sql += ' ORDER BY COALESCE(u.display_name, u.username)';
-    const result = await db.query(sql, params);
-    res.json(result.rows);
+    const result = await runAlertScan();
+    res.json({ raised: result.raised.length, updated: result.updated, resolved: result.resolved });
   } catch (err) {
-    return handleDbError(err, res, 'Get teachers');
+    return handleDbError(err, res, 'Scan alerts');
   }
 });
 
-app.post('/api/teachers', requireAuth, requireRole('admin'), async (req, res) => {
-  const { username, display_name, password, class_id, email, phone, subject, experience } = req.body;
-
-  if (!username || !password) {
-    return res.status(400).json({ error: 'username and password are required for a teacher account' });
+// --- Guardians ---
+// Guardian contacts per student. Admins manage them; teachers can read those of their students.
+function buildGuardianValues(body, existing = {}) {
+  const merged = Object.assign({}, existing, body);
+  if (!merged.name) {
+    throw new Error('name is required');
   }
+  if (!merged.email && !merged.phone) {
+    throw new Error('email or phone is required');
+  }
+  if (merged.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(merged.email))) {
+    throw new Error('Invalid email address');
+  }
+  return {
+    name: merged.name,
+    relationship: merged.relationship || null,
+    email: merged.email || null,
+    phone: merged.phone || null,
+    notify_absence: merged.notify_absence !== false,
+    notify_weekly: merged.notify_weekly !== false,
+  };
+}
 
-  // Validate username format (basic)
-  if (username.length < 3 || username.length > 50) {
-    return res.status(400).json({ error: 'Username must be between 3 and 50 characters' });
+app.get('/api/students/:id/guardians', requireAuth, requireRole('admin', 'teacher'), async (req, res) => {
+  let studentId;
+  try {
+    studentId = validateInteger(req.params.id, 'student id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
   }
 
   try {
-    // Check if username already exists
-    const { sql: checkSql, params: checkParams } = convertPlaceholders(
-      'SELECT id FROM users WHERE username = ?',
-      [username]
-    );
-    const existingResult = await db.query(checkSql, checkParams);
-    
-    if (existingResult.rows.length > 0) {
-      return res.status(400).json({ error: 'Username already exists' });
+    if (!(await canAccessStudent(req.user, studentId))) {
+      return res.status(403).json({ error: 'Forbidden: This student is not in one of your classes' });
     }
+    const result = await db.query('SELECT * FROM student_guardians WHERE student_id = $1 ORDER BY id', [studentId]);
+    res.json(result.rows);
+  } catch (err) {
+    return handleDbError(err, res, 'Get guardians');
+  }
+});
 
-    // Validate class_id if provided
-    if (class_id) {
-      const classIdInt = parseInt(class_id, 10);
-      if (isNaN(classIdInt) || classIdInt <= 0) {
-        return res.status(400).json({ error: 'Invalid class_id' });
-      }
+app.post('/api/students/:id/guardians', requireAuth, requireRole('admin'), async (req, res) => {
+  let studentId;
+  let values;
+  try {
+    studentId = validateInteger(req.params.id, 'student id');
+    values = buildGuardianValues(req.body);
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
 
-      const { sql: classCheckSql, params: classCheckParams } = convertPlaceholders(
-        'SELECT id FROM classes WHERE id = ?',
-        [classIdInt]
-      );
-      const classResult = await db.query(classCheckSql, classCheckParams);
-      
-      if (classResult.rows.length === 0) {
-        return res.status(400).json({ error: 'Invalid class_id: class does not exist' });
-      }
+  try {
+    const studentResult = await db.query('SELECT id FROM students WHERE id = $1', [studentId]);
+    if (studentResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Student not found' });
     }
 
-    const hashedPassword = await bcrypt.hash(password, 10);
-    const { sql, params } = convertPlaceholders(
-      'INSERT INTO users (username, password, role, display_name, class_id, email, phone, subject, experience) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING id',
-      [username, hashedPassword, 'teacher', display_name || null, class_id || null, email || null, phone || null, subject || null, experience || null]
+    const result = await db.query(
+      `INSERT INTO student_guardians (student_id, name, relationship, email, phone, notify_absence, notify_weekly)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [studentId, values.name, values.relationship, values.email, values.phone, values.notify_absence, values.notify_weekly]
     );
-    const result = await db.query(sql, params);
-
-    res.status(201).json({
-      id: result.rows[0].id,
-      username,
-      display_name: display_name || null,
-      class_id: class_id || null,
-      email: email || null,
-      phone: phone || null,
-      subject: subject || null,
-      experience: experience || null,
-    });
+    res.status(201).json(result.rows[0]);
   } catch (err) {
-    return handleDbError(err, res, 'Add teacher');
+    return handleDbError(err, res, 'Create guardian');
   }
 });
 
-// --- Dashboard stats ---
+async function updateGuardian(req, res) {
+  let guardianId;
+  try {
+    guardianId = validateInteger(req.params.id, 'guardian id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
 
-app.get('/api/dashboard/admin', requireAuth, requireRole('admin'), async (req, res) => {
   try {
-    const sql = `
-      SELECT
-        (SELECT COUNT(*) FROM students) AS total_students,
-        (SELECT COUNT(*) FROM users WHERE role = 'teacher') AS total_teachers,
-        (SELECT COUNT(*) FROM classes) AS total_classes,
-        0 AS active_policies
-    `;
+    const existingResult = await db.query(
+      'SELECT name, relationship, email, phone, notify_absence, notify_weekly FROM student_guardians WHERE id = $1',
+      [guardianId]
+    );
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Guardian not found' });
+    }
 
-    const result = await db.query(sql);
-    const row = result.rows[0] || {
-      total_students: 0,
-      total_teachers: 0,
-      total_classes: 0,
-      active_policies: 0,
-    };
+    let values;
+    try {
+      values = buildGuardianValues(mergeForUpdate(req, existingResult.rows[0], ['name']));
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
+    }
 
-    res.json(row);
+    const result = await db.query(
+      `UPDATE student_guardians
+       SET name = $1, relationship = $2, email = $3, phone = $4, notify_absence = $5, notify_weekly = $6
+       WHERE id = $7
+       RETURNING *`,
+      [values.name, values.relationship, values.email, values.phone, values.notify_absence, values.notify_weekly, guardianId]
+    );
+    res.json(result.rows[0]);
   } catch (err) {
-    return handleDbError(err, res, 'Admin dashboard');
+    return handleDbError(err, res, 'Update guardian');
   }
-});
+}
 
-app.get('/api/dashboard/teacher', requireAuth, requireRole('teacher'), async (req, res) => {
-  const user = req.user;
-  const classId = user.class_id;
-
-  if (!classId) {
-    return res.json({
-      class_id: null,
-      class_name: null,
-      student_count: 0,
-      today_sessions: 0,
-    });
-  }
+app.put('/api/guardians/:id', requireAuth, requireRole('admin'), updateGuardian);
+app.patch('/api/guardians/:id', requireAuth, requireRole('admin'), updateGuardian);
 
+app.delete('/api/guardians/:id', requireAuth, requireRole('admin'), async (req, res) => {
+  let guardianId;
   try {
-    const today = new Date().toISOString().slice(0, 10);
-    const { sql, params } = convertPlaceholders(
-      `SELECT
-        c.id AS class_id,
-        c.name AS class_name,
-        (SELECT COUNT(*) FROM students s WHERE s.class_id = c.id) AS student_count,
-        (SELECT COUNT(*) FROM sessions sess WHERE sess.class_id = c.id AND sess.date = ?) AS today_sessions
-      FROM classes c
-      WHERE c.id = ?`,
-      [today, classId]
-    );
-
-    const result = await db.query(sql, params);
-    const row = result.rows[0];
+    guardianId = validateInteger(req.params.id, 'guardian id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
 
-    if (!row) {
-      return res.json({
-        class_id: classId,
-        class_name: null,
-        student_count: 0,
-        today_sessions: 0,
-      });
+  try {
+    const result = await db.query('DELETE FROM student_guardians WHERE id = $1 RETURNING id', [guardianId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Guardian not found' });
     }
-
-    res.json(row);
+    res.json({ message: 'Guardian deleted' });
   } catch (err) {
-    return handleDbError(err, res, 'Teacher dashboard');
+    return handleDbError(err, res, 'Delete guardian');
   }
 });
 
-// --- Sessions ---
-// Admins can view all sessions (for reporting/management).
-// Teachers can view sessions for any class in the system (multi-class access).
-// Students remain scoped to their own class.
-app.get('/api/sessions', requireAuth, async (req, res) => {
-  const { class_id } = req.query;
-  const user = req.user;
+// --- Notifications ---
+// Delivery log of guardian emails (see notifications.js for the queue and transports)
+const NOTIFICATION_STATUSES = ['pending', 'sent', 'failed'];
+
+app.get('/api/notifications', requireAuth, requireRole('admin'), async (req, res) => {
+  const { status, student_id, kind } = req.query;
+  if (status && !NOTIFICATION_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Invalid status. Must be one of: ${NOTIFICATION_STATUSES.join(', ')}` });
+  }
 
   try {
-    let sql = 'SELECT s.*, c.name as class_name FROM sessions s JOIN classes c ON s.class_id = c.id';
-    const params = [];
     const where = [];
-
-    if (user.role === 'admin' || user.role === 'teacher') {
-      // Admins and teachers can optionally filter by any class_id.
-      if (class_id) {
-        where.push(`s.class_id = $${params.length + 1}`);
-        params.push(class_id);
-      }
-    } else if (user.role === 'student') {
-      // Students are still restricted to sessions for their own class.
-      if (!user.class_id) {
-        return res.json([]);
-      }
-      where.push(`s.class_id = $${params.length + 1}`);
-      params.push(user.class_id);
+    const params = [];
+    if (status) {
+      params.push(status);
+      where.push(`n.status = $${params.length}`);
     }
-
-    if (where.length > 0) {
-      sql += ' WHERE ' + where.join(' AND ');
+    if (student_id) {
+      params.push(validateInteger(student_id, 'student_id'));
+      where.push(`n.student_id = $${params.length}`);
     }
-
-    sql += ' ORDER BY date DESC, s.id DESC';
-    const result = await db.query(sql, params);
+    if (kind) {
+      params.push(kind);
+      where.push(`n.kind = $${params.length}`);
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    params.push(limit);
+
+    const result = await db.query(
+      `SELECT n.*, st.name AS student_name, g.name AS guardian_name
+       FROM notifications n
+       LEFT JOIN students st ON st.id = n.student_id
+       LEFT JOIN student_guardians g ON g.id = n.guardian_id
+       ${where.length > 0 ? 'WHERE ' + where.join(' AND ') : ''}
+       ORDER BY n.created_at DESC, n.id DESC
+       LIMIT $${params.length}`,
+      params
+    );
     res.json(result.rows);
   } catch (err) {
-    return handleDbError(err, res, 'Get sessions');
+    if (/^Invalid/.test(err.message)) {
+      return res.status(400).json({ error: err.message });
+    }
+    return handleDbError(err, res, 'Get notifications');
   }
 });
 
-// NOTE: Only teachers create classroom sessions. Admin can manage/view but not create.
-app.post('/api/sessions', requireAuth, requireRole('teacher'), async (req, res) => {
-  const user = req.user;
-  const { class_id, date, topic } = req.body;
-  if (!class_id || !date) {
-    return res.status(400).json({ error: 'class_id and date are required' });
+// Put a failed message back in the queue with a fresh set of attempts
+app.post('/api/notifications/:id/retry', requireAuth, requireRole('admin'), async (req, res) => {
+  let notificationId;
+  try {
+    notificationId = validateInteger(req.params.id, 'notification id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
   }
 
-  const classIdInt = parseInt(class_id, 10);
-  if (isNaN(classIdInt) || classIdInt <= 0) {
-    return res.status(400).json({ error: 'Invalid class_id' });
+  try {
+    const result = await db.query(
+      `UPDATE notifications
+       SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+       WHERE id = $1 AND status = 'failed'
+       RETURNING *`,
+      [notificationId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'No failed notification with this id' });
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    return handleDbError(err, res, 'Retry notification');
   }
+});
 
-  // Validate date format
-  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-  if (!dateRegex.test(date)) {
-    return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+// Send whatever is due now instead of waiting for the next scheduled run
+app.post('/api/notifications/process', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await processNotificationQueue());
+  } catch (err) {
+    return handleDbError(err, res, 'Process notifications');
   }
+});
 
-  const dateObj = new Date(date);
-  if (isNaN(dateObj.getTime())) {
-    return res.status(400).json({ error: 'Invalid date value' });
+// Queue weekly summaries for the week starting on week_start (defaults to last week)
+app.post('/api/notifications/weekly-summaries', requireAuth, requireRole('admin'), async (req, res) => {
+  let weekStart;
+  try {
+    weekStart = req.body.week_start ? validateDate(req.body.week_start) : null;
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+  if (weekStart && groupPeriodStart(weekStart, 'week') !== weekStart) {
+    return res.status(400).json({ error: 'week_start must be a Monday' });
   }
 
   try {
-    // Validate class exists
-    const { sql: checkSql, params: checkParams } = convertPlaceholders(
-      'SELECT id FROM classes WHERE id = ?',
-      [classIdInt]
-    );
-    const checkResult = await db.query(checkSql, checkParams);
-    
-    if (checkResult.rows.length === 0) {
-      return res.status(400).json({ error: 'Invalid class_id: class does not exist' });
-    }
+    const start = weekStart || previousWeekStart();
+    const queued = await enqueueWeeklySummaries(start);
+    res.status(201).json({ week_start: start, queued });
+  } catch (err) {
+    return handleDbError(err, res, 'Queue weekly summaries');
+  }
+});
 
-    const { sql, params } = convertPlaceholders(
-      'INSERT INTO sessions (class_id, date, topic) VALUES (?, ?, ?) RETURNING id',
-      [classIdInt, date, topic || null]
+// --- Webhooks ---
+// Admin-managed endpoints that receive signed event payloads (see webhooks.js).
+// The secret is only returned when an endpoint is created or its secret is rotated.
+const WEBHOOK_PUBLIC_COLUMNS = 'id, url, description, events, active, created_by, created_at';
+
+function buildWebhookValues(body, existing = {}) {
+  const merged = Object.assign({}, existing, body);
+  if (!merged.url || !Array.isArray(merged.events) || merged.events.length === 0) {
+    throw new Error('url and a non-empty events array are required');
+  }
+  let parsed;
+  try {
+    parsed = new URL(String(merged.url));
+  } catch (urlErr) {
+    throw new Error('Invalid url');
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error('Invalid url: must use http or https');
+  }
+  const unknown = merged.events.filter((e) => !WEBHOOK_EVENTS.includes(e));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid events: ${unknown.join(', ')}. Must be among: ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+  return {
+    url: parsed.toString(),
+    description: merged.description || null,
+    events: Array.from(new Set(merged.events)),
+    active: merged.active !== false,
+  };
+}
+
+app.get('/api/webhooks', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT ${WEBHOOK_PUBLIC_COLUMNS},
+              (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.endpoint_id = e.id AND d.status = 'failed') AS failed_deliveries
+       FROM webhook_endpoints e
+       ORDER BY id`
     );
-    const result = await db.query(sql, params);
-    res.status(201).json({ id: result.rows[0].id, class_id: classIdInt, date, topic: topic || null });
+    res.json(result.rows);
   } catch (err) {
-    return handleDbError(err, res, 'Create session');
+    return handleDbError(err, res, 'Get webhooks');
   }
 });
 
-// --- Attendance ---
-// Mark attendance for one or many students
-// NOTE: Only teachers can mark attendance. Admins can view reports but cannot mark.
-app.post('/api/attendance', requireAuth, requireRole('teacher'), async (req, res) => {
-  const { session_id, records } = req.body;
+app.post('/api/webhooks', requireAuth, requireRole('admin'), async (req, res) => {
+  let values;
+  try {
+    values = buildWebhookValues(req.body);
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
 
-  if (!session_id || !Array.isArray(records) || records.length === 0) {
-    return res.status(400).json({ error: 'session_id and an array of records are required' });
+  try {
+    const secret = req.body.secret || generateWebhookSecret();
+    const result = await db.query(
+      `INSERT INTO webhook_endpoints (url, description, secret, events, active, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${WEBHOOK_PUBLIC_COLUMNS}, secret`,
+      [values.url, values.description, secret, values.events, values.active, req.user.id]
+    );
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    return handleDbError(err, res, 'Create webhook');
   }
+});
 
-  // Validate session_id is integer
-  const sessionIdInt = parseInt(session_id, 10);
-  if (isNaN(sessionIdInt) || sessionIdInt <= 0) {
-    return res.status(400).json({ error: 'Invalid session_id' });
+async function updateWebhook(req, res) {
+  let webhookId;
+  try {
+    webhookId = validateInteger(req.params.id, 'webhook id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
   }
 
-  const client = await db.connect();
   try {
-    await client.query('BEGIN');
-
-    // Get session class_id
-    const { sql: sessionSql, params: sessionParams } = convertPlaceholders(
-      'SELECT class_id FROM sessions WHERE id = ?',
-      [sessionIdInt]
+    const existingResult = await db.query(
+      'SELECT url, description, events, active FROM webhook_endpoints WHERE id = $1',
+      [webhookId]
     );
-    const sessionResult = await client.query(sessionSql, sessionParams);
-    
-    if (sessionResult.rows.length === 0) {
-      await client.query('ROLLBACK');
-      return res.status(400).json({ error: 'Invalid session_id' });
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
     }
 
-    const sessionClassId = sessionResult.rows[0].class_id;
-
-    // Validate all student_ids belong to the session's class
-    const studentIds = records
-      .map(r => parseInt(r.student_id, 10))
-      .filter(id => !isNaN(id) && id > 0);
-    
-    if (studentIds.length === 0) {
-      await client.query('ROLLBACK');
-      return res.status(400).json({ error: 'No valid student_ids provided' });
+    let values;
+    try {
+      values = buildWebhookValues(mergeForUpdate(req, existingResult.rows[0], ['url', 'events']));
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
     }
 
-    // Validate status values
-    const validStatuses = ['present', 'absent'];
-    const invalidRecords = records.filter(r => !validStatuses.includes(String(r.status).toLowerCase()));
-    if (invalidRecords.length > 0) {
-      await client.query('ROLLBACK');
-      return res.status(400).json({ error: 'Invalid status values. Must be "present" or "absent"' });
-    }
+    const result = await db.query(
+      `UPDATE webhook_endpoints SET url = $1, description = $2, events = $3, active = $4
+       WHERE id = $5
+       RETURNING ${WEBHOOK_PUBLIC_COLUMNS}`,
+      [values.url, values.description, values.events, values.active, webhookId]
+    );
+    res.json(result.rows[0]);
+  } catch (err) {
+    return handleDbError(err, res, 'Update webhook');
+  }
+}
 
-    // Check all students belong to the session's class
-    const placeholders = studentIds.map((_, i) => `$${i + 1}`).join(',');
-    const checkSql = `SELECT id FROM students WHERE id IN (${placeholders}) AND class_id = $${studentIds.length + 1}`;
-    const checkResult = await client.query(checkSql, [...studentIds, sessionClassId]);
-    
-    if (checkResult.rows.length !== studentIds.length) {
-      await client.query('ROLLBACK');
-      return res.status(400).json({ error: 'Some students do not belong to this session\'s class' });
-    }
+app.put('/api/webhooks/:id', requireAuth, requireRole('admin'), updateWebhook);
+app.patch('/api/webhooks/:id', requireAuth, requireRole('admin'), updateWebhook);
 
-    // Filter valid records
-    const validRecords = records.filter(rec => {
-      const studentId = parseInt(rec.student_id, 10);
-      const status = String(rec.status).toLowerCase();
-      return !isNaN(studentId) && studentId > 0 && validStatuses.includes(status);
-    });
+app.post('/api/webhooks/:id/rotate-secret', requireAuth, requireRole('admin'), async (req, res) => {
+  let webhookId;
+  try {
+    webhookId = validateInteger(req.params.id, 'webhook id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
 
-    if (validRecords.length === 0) {
-      await client.query('ROLLBACK');
-      return res.status(400).json({ error: 'No valid records to save' });
+  try {
+    const result = await db.query(
+      `UPDATE webhook_endpoints SET secret = $1 WHERE id = $2 RETURNING ${WEBHOOK_PUBLIC_COLUMNS}, secret`,
+      [generateWebhookSecret(), webhookId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
     }
+    res.json(result.rows[0]);
+  } catch (err) {
+    return handleDbError(err, res, 'Rotate webhook secret');
+  }
+});
 
-    // Use INSERT ... ON CONFLICT to preserve marked_at timestamp on updates
-    const upsertSql = `
-      INSERT INTO attendance (session_id, student_id, status, marked_at)
-      VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
-      ON CONFLICT(session_id, student_id) 
-      DO UPDATE SET status = EXCLUDED.status
-    `;
+app.delete('/api/webhooks/:id', requireAuth, requireRole('admin'), async (req, res) => {
+  let webhookId;
+  try {
+    webhookId = validateInteger(req.params.id, 'webhook id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
 
-    for (const rec of validRecords) {
-      const studentId = parseInt(rec.student_id, 10);
-      const status = String(rec.status).toLowerCase();
-      await client.query(upsertSql, [sessionIdInt, studentId, status]);
+  try {
+    const result = await db.query('DELETE FROM webhook_endpoints WHERE id = $1 RETURNING id', [webhookId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
     }
-
-    await client.query('COMMIT');
-    res.status(201).json({ message: 'Attendance saved successfully' });
+    res.json({ message: 'Webhook deleted' });
   } catch (err) {
-    await client.query('ROLLBACK').catch(() => {});
-    return handleDbError(err, res, 'Save attendance');
-  } finally {
-    client.release();
+    return handleDbError(err, res, 'Delete webhook');
   }
 });
 
-// Get attendance by session
-app.get('/api/attendance/by-session', requireAuth, requireRole('admin', 'teacher'), async (req, res) => {
-  const { session_id } = req.query;
-  if (!session_id) {
-    return res.status(400).json({ error: 'session_id is required' });
+// Delivery log for one endpoint, newest first
+app.get('/api/webhooks/:id/deliveries', requireAuth, requireRole('admin'), async (req, res) => {
+  let webhookId;
+  try {
+    webhookId = validateInteger(req.params.id, 'webhook id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
   }
 
   try {
-    const { sql: checkSql, params: checkParams } = convertPlaceholders(
-      'SELECT class_id FROM sessions WHERE id = ?',
-      [session_id]
-    );
-    const checkResult = await db.query(checkSql, checkParams);
-    
-    if (checkResult.rows.length === 0) {
-      return res.status(400).json({ error: 'Invalid session_id' });
+    const endpoint = await db.query('SELECT id FROM webhook_endpoints WHERE id = $1', [webhookId]);
+    if (endpoint.rows.length === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
     }
 
-    const { sql, params } = convertPlaceholders(
-      `SELECT a.id, a.status, a.marked_at,
-             s.id AS student_id, s.name AS student_name, s.roll_number,
-             sess.date, sess.topic, c.name AS class_name
-      FROM attendance a
-      JOIN students s ON a.student_id = s.id
-      JOIN sessions sess ON a.session_id = sess.id
-      JOIN classes c ON sess.class_id = c.id
-      WHERE a.session_id = ?
-      ORDER BY s.name`,
-      [session_id]
+    const params = [webhookId];
+    let statusSql = '';
+    if (req.query.status) {
+      params.push(req.query.status);
+      statusSql = ` AND status = $${params.length}`;
+    }
+    params.push(Math.min(parseInt(req.query.limit, 10) || 100, 500));
+    const result = await db.query(
+      `SELECT id, event, payload, status, attempts, response_status, last_error,
+              next_attempt_at, created_at, delivered_at
+       FROM webhook_deliveries
+       WHERE endpoint_id = $1${statusSql}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${params.length}`,
+      params
     );
-    const result = await db.query(sql, params);
     res.json(result.rows);
   } catch (err) {
-    return handleDbError(err, res, 'Get attendance by session');
+    return handleDbError(err, res, 'Get webhook deliveries');
+  }
+});
+
+// Requeue a failed delivery with a fresh set of attempts
+app.post('/api/webhooks/deliveries/:id/retry', requireAuth, requireRole('admin'), async (req, res) => {
+  let deliveryId;
+  try {
+    deliveryId = validateInteger(req.params.id, 'delivery id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const result = await db.query(
+      `UPDATE webhook_deliveries
+       SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+       WHERE id = $1 AND status = 'failed'
+       RETURNING id, endpoint_id, event, status`,
+      [deliveryId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'No failed delivery with this id' });
+    }
+    kickWebhookQueue();
+    res.json(result.rows[0]);
+  } catch (err) {
+    return handleDbError(err, res, 'Retry webhook delivery');
   }
 });
 
@@ -806,20 +6540,42 @@ app.get('/api/reports/by-student', requireAuth, async (req, res) => {
 
   const user = req.user;
 
+  let period;
+  try {
+    period = await resolveReportPeriod(req.query);
+  } catch (err) {
+    if (/^Invalid/.test(err.message)) {
+      return res.status(400).json({ error: err.message });
+    }
+    return handleDbError(err, res, 'Get student report');
+  }
+
   const runQuery = async () => {
     try {
+      const dates = periodConditions('sess', period);
       const { sql, params } = convertPlaceholders(
         `SELECT a.status, a.marked_at,
+               ast.label AS status_label, ast.weight, ast.counts_in_total,
                sess.id AS session_id, sess.date, sess.topic,
+               sess.period, sess.start_time, sess.end_time,
+               sess.subject_id, subj.name AS subject_name, subj.min_percentage,
                c.id AS class_id, c.name AS class_name
         FROM attendance a
         JOIN sessions sess ON a.session_id = sess.id
         JOIN classes c ON sess.class_id = c.id
-        WHERE a.student_id = ?
-        ORDER BY sess.date DESC, sess.id DESC`,
-        [studentIdInt]
+        LEFT JOIN subjects subj ON subj.id = sess.subject_id
+        LEFT JOIN attendance_statuses ast ON ast.code = a.status
+        WHERE a.student_id = ?${dates.sql}
+        ORDER BY sess.date DESC, sess.start_time DESC NULLS LAST, sess.period DESC NULLS LAST, sess.id DESC`,
+        [studentIdInt, ...dates.params]
       );
       const result = await db.query(sql, params);
+      if (period.breakdown === 'subject') {
+        return res.json(groupStudentReportRowsBySubject(result.rows, period.group_by));
+      }
+      if (period.group_by) {
+        return res.json(groupStudentReportRows(result.rows, period.group_by));
+      }
       return res.json(result.rows);
     } catch (err) {
       return handleDbError(err, res, 'Get student report');
@@ -838,6 +6594,13 @@ app.get('/api/reports/by-student', requireAuth, async (req, res) => {
   }
 
   if (user.role === 'teacher') {
+    try {
+      if (!(await canAccessStudent(user, studentIdInt))) {
+        return res.status(403).json({ error: 'Forbidden: This student is not in one of your classes' });
+      }
+    } catch (err) {
+      return handleDbError(err, res, 'Check student access');
+    }
     return runQuery();
   }
 
@@ -862,26 +6625,33 @@ app.get('/api/reports/summary-by-class', requireAuth, async (req, res) => {
     return res.status(403).json({ error: 'Forbidden' });
   }
 
+  let period;
+  let mode;
   try {
-    // FIXED: Only count sessions where attendance was actually marked
-    const { sql, params } = convertPlaceholders(
-      `SELECT 
-        st.id AS student_id,
-        st.name AS student_name,
-        st.roll_number,
-        COUNT(DISTINCT a.session_id) AS total,
-        SUM(CASE WHEN a.status = 'present' THEN 1 ELSE 0 END) AS presents,
-        (COUNT(DISTINCT a.session_id) - SUM(CASE WHEN a.status = 'present' THEN 1 ELSE 0 END)) AS absents
-      FROM students st
-      LEFT JOIN attendance a ON a.student_id = st.id
-      LEFT JOIN sessions sess ON sess.id = a.session_id AND sess.class_id = st.class_id
-      WHERE st.class_id = ?
-      GROUP BY st.id, st.name, st.roll_number
-      ORDER BY st.name`,
-      [classIdInt]
-    );
-    const result = await db.query(sql, params);
-    res.json(result.rows);
+    period = await resolveReportPeriod(req.query);
+    mode = resolveDenominatorMode(req.query.denominator);
+  } catch (err) {
+    if (/^Invalid/.test(err.message)) {
+      return res.status(400).json({ error: err.message });
+    }
+    return handleDbError(err, res, 'Get class summary');
+  }
+
+  try {
+    if (!(await canAccessClass(user, classIdInt))) {
+      return res.status(403).json({ error: CLASS_FORBIDDEN_MESSAGE });
+    }
+
+    // Same figures as the export: see stats.js for the denominator modes
+    const rows = await getClassAttendanceStats(classIdInt, {
+      from: period.from,
+      to: period.to,
+      groupBy: period.group_by,
+      subjectId: period.subject ? period.subject.id : null,
+      bySubject: period.breakdown === 'subject',
+      mode,
+    });
+    res.json(labelGroupedRows(rows, period));
   } catch (err) {
     return handleDbError(err, res, 'Get class summary');
   }
@@ -896,29 +6666,48 @@ app.get('/api/reports/by-student/export', requireAuth, async (req, res) => {
 
   const user = req.user;
 
+  let period;
+  try {
+    period = await resolveReportPeriod(req.query);
+  } catch (err) {
+    if (/^Invalid/.test(err.message)) {
+      return res.status(400).json({ error: err.message });
+    }
+    return handleDbError(err, res, 'Export student report');
+  }
+
   const runQuery = async () => {
     try {
+      const dates = periodConditions('sess', period);
       const { sql, params } = convertPlaceholders(
         `SELECT a.status, a.marked_at,
+               ast.label AS status_label, ast.weight, ast.counts_in_total,
                sess.id AS session_id, sess.date, sess.topic,
+               sess.period, sess.start_time, sess.end_time,
+               sess.subject_id, subj.name AS subject_name, subj.min_percentage,
                c.id AS class_id, c.name AS class_name
         FROM attendance a
         JOIN sessions sess ON a.session_id = sess.id
         JOIN classes c ON sess.class_id = c.id
-        WHERE a.student_id = ?
-        ORDER BY sess.date DESC, sess.id DESC`,
-        [student_id]
+        LEFT JOIN subjects subj ON subj.id = sess.subject_id
+        LEFT JOIN attendance_statuses ast ON ast.code = a.status
+        WHERE a.student_id = ?${dates.sql}
+        ORDER BY sess.date DESC, sess.start_time DESC NULLS LAST, sess.period DESC NULLS LAST, sess.id DESC`,
+        [student_id, ...dates.params]
       );
       const result = await db.query(sql, params);
       const rows = result.rows;
 
+      const label = reportFileLabel(`student-${student_id}-report`, period);
+
       if (format === 'pdf') {
         return sendStudentReportPdf(res, rows, {
-          filename: `student-${student_id}-report.pdf`,
+          filename: `${label}.pdf`,
+          period,
         });
       }
 
-      return sendStudentReportCsv(res, rows, `student-${student_id}-report`);
+      return sendStudentReportCsv(res, rows, label, period);
     } catch (err) {
       return handleDbError(err, res, 'Export student report');
     }
@@ -940,6 +6729,13 @@ app.get('/api/reports/by-student/export', requireAuth, async (req, res) => {
   }
 
   if (user.role === 'teacher') {
+    try {
+      if (!(await canAccessStudent(user, student_id))) {
+        return res.status(403).json({ error: 'Forbidden: This student is not in one of your classes' });
+      }
+    } catch (err) {
+      return handleDbError(err, res, 'Check student access');
+    }
     return runQuery();
   }
 
@@ -959,44 +6755,278 @@ app.get('/api/reports/summary-by-class/export', requireAuth, async (req, res) =>
     return res.status(403).json({ error: 'Forbidden' });
   }
 
+  const classIdInt = parseInt(class_id, 10);
+  if (isNaN(classIdInt) || classIdInt <= 0) {
+    return res.status(400).json({ error: 'Invalid class_id' });
+  }
+
+  let period;
+  let mode;
   try {
-    const { sql, params } = convertPlaceholders(
-      `SELECT st.id AS student_id,
-             st.name AS student_name,
-             st.roll_number,
-             SUM(CASE WHEN a.status = 'present' THEN 1 ELSE 0 END) AS presents,
-             COUNT(sess.id) AS total,
-             (COUNT(sess.id) - SUM(CASE WHEN a.status = 'present' THEN 1 ELSE 0 END)) AS absents
-      FROM students st
-      LEFT JOIN sessions sess ON sess.class_id = st.class_id
-      LEFT JOIN attendance a
-             ON a.student_id = st.id
-            AND a.session_id = sess.id
-      WHERE st.class_id = ?
-      GROUP BY st.id, st.name, st.roll_number
-      ORDER BY st.name`,
-      [class_id]
-    );
-    const result = await db.query(sql, params);
-    const rows = result.rows;
+    period = await resolveReportPeriod(req.query);
+    mode = resolveDenominatorMode(req.query.denominator);
+  } catch (err) {
+    if (/^Invalid/.test(err.message)) {
+      return res.status(400).json({ error: err.message });
+    }
+    return handleDbError(err, res, 'Export class summary');
+  }
+
+  try {
+    if (!(await canAccessClass(user, classIdInt))) {
+      return res.status(403).json({ error: CLASS_FORBIDDEN_MESSAGE });
+    }
+
+    const stats = await getClassAttendanceStats(classIdInt, {
+      from: period.from,
+      to: period.to,
+      groupBy: period.group_by,
+      subjectId: period.subject ? period.subject.id : null,
+      bySubject: period.breakdown === 'subject',
+      mode,
+    });
+    const rows = labelGroupedRows(stats, period);
+    const label = reportFileLabel(`class-${classIdInt}-summary`, period);
 
     if (format === 'pdf') {
       return sendClassSummaryPdf(res, rows, {
-        filename: `class-${class_id}-summary.pdf`,
+        filename: `${label}.pdf`,
+        period,
+        denominator: mode,
       });
     }
 
-    return sendClassSummaryCsv(res, rows, `class-${class_id}-summary`);
+    return sendClassSummaryCsv(res, rows, label, period);
   } catch (err) {
     return handleDbError(err, res, 'Export class summary');
   }
 });
 
+// --- Attendance policies ---
+// Admins define rules (minimum percentage, consecutive absences) per class or school-wide
+// and evaluate them against recorded attendance.
+const POLICY_SELECT_SQL = `
+  SELECT p.*, c.name AS class_name
+  FROM attendance_policies p
+  LEFT JOIN classes c ON p.class_id = c.id
+`;
+
+app.get('/api/policies', requireAuth, requireRole('admin'), async (req, res) => {
+  const { class_id, active } = req.query;
+
+  try {
+    let sql = POLICY_SELECT_SQL;
+    const params = [];
+    const where = [];
+
+    if (class_id) {
+      // Class filter includes school-wide policies, which apply to every class
+      where.push(`(p.class_id = $${params.length + 1} OR p.class_id IS NULL)`);
+      params.push(validateInteger(class_id, 'class_id'));
+    }
+    if (active !== undefined) {
+      where.push(`p.active = $${params.length + 1}`);
+      params.push(active === 'true');
+    }
+
+    if (where.length > 0) {
+      sql += ' WHERE ' + where.join(' AND ');
+    }
+
+    sql += ' ORDER BY p.active DESC, p.name';
+    const result = await db.query(sql, params);
+    res.json(result.rows);
+  } catch (err) {
+    if (/^Invalid/.test(err.message)) {
+      return res.status(400).json({ error: err.message });
+    }
+    return handleDbError(err, res, 'Get policies');
+  }
+});
+
+// Evaluate every active policy at once
+app.get('/api/policies/violations', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await db.query(POLICY_SELECT_SQL + ' WHERE p.active = TRUE ORDER BY p.name');
+    const report = [];
+    for (const policy of result.rows) {
+      const violations = await evaluatePolicy(policy);
+      report.push({ policy, violations });
+    }
+    res.json(report);
+  } catch (err) {
+    return handleDbError(err, res, 'Evaluate policies');
+  }
+});
+
+app.get('/api/policies/:id', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const policyId = validateInteger(req.params.id, 'policy id');
+    const result = await db.query(POLICY_SELECT_SQL + ' WHERE p.id = $1', [policyId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Policy not found' });
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    if (/^Invalid/.test(err.message)) {
+      return res.status(400).json({ error: err.message });
+    }
+    return handleDbError(err, res, 'Get policy');
+  }
+});
+
+app.get('/api/policies/:id/violations', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const policyId = validateInteger(req.params.id, 'policy id');
+    const result = await db.query(POLICY_SELECT_SQL + ' WHERE p.id = $1', [policyId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Policy not found' });
+    }
+    const policy = result.rows[0];
+    const violations = await evaluatePolicy(policy);
+    res.json({ policy, violations });
+  } catch (err) {
+    if (/^Invalid/.test(err.message)) {
+      return res.status(400).json({ error: err.message });
+    }
+    return handleDbError(err, res, 'Evaluate policy');
+  }
+});
+
+app.post('/api/policies', requireAuth, requireRole('admin'), async (req, res) => {
+  let values;
+  try {
+    values = buildPolicyValues(req.body);
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    if (values.class_id) {
+      const classResult = await db.query('SELECT id FROM classes WHERE id = $1', [values.class_id]);
+      if (classResult.rows.length === 0) {
+        return res.status(400).json({ error: 'Invalid class_id: class does not exist' });
+      }
+    }
+
+    const { sql, params } = convertPlaceholders(
+      `INSERT INTO attendance_policies
+         (name, description, class_id, rule_type, threshold, period_start, period_end, active, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+       RETURNING *`,
+      [
+        values.name,
+        values.description,
+        values.class_id,
+        values.rule_type,
+        values.threshold,
+        values.period_start,
+        values.period_end,
+        values.active,
+        req.user.id,
+      ]
+    );
+    const result = await db.query(sql, params);
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    return handleDbError(err, res, 'Create policy');
+  }
+});
+
+app.put('/api/policies/:id', requireAuth, requireRole('admin'), async (req, res) => {
+  let policyId;
+  try {
+    policyId = validateInteger(req.params.id, 'policy id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const existingResult = await db.query('SELECT * FROM attendance_policies WHERE id = $1', [policyId]);
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Policy not found' });
+    }
+
+    let values;
+    try {
+      values = buildPolicyValues(req.body, existingResult.rows[0]);
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
+    }
+
+    if (values.class_id) {
+      const classResult = await db.query('SELECT id FROM classes WHERE id = $1', [values.class_id]);
+      if (classResult.rows.length === 0) {
+        return res.status(400).json({ error: 'Invalid class_id: class does not exist' });
+      }
+    }
+
+    const { sql, params } = convertPlaceholders(
+      `UPDATE attendance_policies
+       SET name = ?, description = ?, class_id = ?, rule_type = ?, threshold = ?,
+           period_start = ?, period_end = ?, active = ?
+       WHERE id = ?
+       RETURNING *`,
+      [
+        values.name,
+        values.description,
+        values.class_id,
+        values.rule_type,
+        values.threshold,
+        values.period_start,
+        values.period_end,
+        values.active,
+        policyId,
+      ]
+    );
+    const result = await db.query(sql, params);
+    res.json(result.rows[0]);
+  } catch (err) {
+    return handleDbError(err, res, 'Update policy');
+  }
+});
+
+app.delete('/api/policies/:id', requireAuth, requireRole('admin'), async (req, res) => {
+  let policyId;
+  try {
+    policyId = validateInteger(req.params.id, 'policy id');
+  } catch (validationErr) {
+    return res.status(400).json({ error: validationErr.message });
+  }
+
+  try {
+    const result = await db.query('DELETE FROM attendance_policies WHERE id = $1 RETURNING id', [policyId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Policy not found' });
+    }
+    res.json({ message: 'Policy deleted' });
+  } catch (err) {
+    return handleDbError(err, res, 'Delete policy');
+  }
+});
+
 // Fallback route - serve index
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-app.listen(PORT, () => {
-  console.log(`Server is running on http://localhost:${PORT}`);
-});
+if (require.main === module) {
+  startBackgroundJobs();
+  app.listen(PORT, () => {
+    console.log(`Server is running on http://localhost:${PORT}`);
+  });
+}
+
+// Pure helpers are exported for the unit tests in test/
+module.exports = {
+  app,
+  convertPlaceholders,
+  getUserFromRequest,
+  createSession,
+  checkinStep,
+  checkinCode,
+  matchCheckinCode,
+  validateCidrs,
+  checkCheckinLocation,
+  buildRolloverPlan,
+};
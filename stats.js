@@ -0,0 +1,166 @@
+const db = require('./db');
+
+// Attendance statistics shared by the on-screen reports and their CSV/PDF exports,
+// so the same class always shows the same figures wherever it is viewed.
+
+// Weighted attendance aggregates. Expects attendance_statuses joined as "ast".
+const WEIGHTED_PRESENTS_SQL = 'COALESCE(SUM(CASE WHEN ast.counts_in_total THEN ast.weight ELSE 0 END), 0)';
+const EXCUSED_COUNT_SQL = 'COUNT(CASE WHEN ast.counts_in_total = FALSE THEN 1 END)';
+
+// Denominator modes for attendance percentages:
+//   marked - sessions where the student's attendance was recorded; unmarked sessions are left out
+//   held   - every session of the class up to today; unmarked sessions count as not attended
+// Excused statuses (counts_in_total = FALSE) are left out of the total in both modes.
+const DENOMINATOR_MODES = ['marked', 'held'];
+const DEFAULT_DENOMINATOR_MODE = 'marked';
+
+const DENOMINATOR_LABELS = {
+  marked: 'sessions marked',
+  held: 'sessions held',
+};
+
+function resolveDenominatorMode(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_DENOMINATOR_MODE;
+  }
+  const mode = String(value);
+  if (!DENOMINATOR_MODES.includes(mode)) {
+    throw new Error(`Invalid denominator. Must be one of: ${DENOMINATOR_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+function attendancePercent(presents, total) {
+  const totalNum = Number(total) || 0;
+  const presentsNum = Number(presents) || 0;
+  return totalNum > 0 ? ((presentsNum / totalNum) * 100).toFixed(1) : '0.0';
+}
+
+// A subject requirement is only broken once something has been counted against it
+function belowMinimum(percent, total, minPercentage) {
+  return minPercentage !== null && minPercentage !== undefined && Number(total) > 0
+    && Number(percent) < Number(minPercentage);
+}
+
+// Weighted counts can be fractional (half days); drop trailing zeros for display.
+function formatCount(value) {
+  return String(Number(value) || 0);
+}
+
+// node-postgres returns DATE columns as local-midnight Date objects; turn them back into YYYY-MM-DD.
+function toDateString(value) {
+  if (value instanceof Date) {
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+// Per-student figures for one class. Students are taken from their enrollments, so anyone who
+// belonged to the class during the period is listed, and only the class's sessions inside their
+// enrollment and dated up to today are considered. enrolled_from / enrolled_to give the span
+// (enrolled_to is null while the student is still in the class). Optionally limited to from/to
+// and one subject (subjectId), and split into week/month rows (groupBy) and/or one row per
+// subject (bySubject).
+// Every row carries sessions_held, sessions_marked and unmarked, whatever the mode, plus
+// total/presents/absents/excused/percent computed against the chosen denominator.
+// Subject rows also carry the subject's min_percentage and below_minimum.
+async function getClassAttendanceStats(classId, options = {}, queryable = db) {
+  const mode = resolveDenominatorMode(options.mode);
+  const params = [classId];
+  let dateSql = '';
+  // Enrollments that overlap the period
+  let enrollmentSql = '';
+  if (options.from) {
+    params.push(options.from);
+    dateSql += ` AND sess.date >= $${params.length}`;
+    enrollmentSql += ` AND (e.effective_to IS NULL OR e.effective_to >= $${params.length})`;
+  }
+  if (options.to) {
+    params.push(options.to);
+    dateSql += ` AND sess.date <= $${params.length}`;
+    enrollmentSql += ` AND e.effective_from <= $${params.length}`;
+  } else {
+    enrollmentSql += ' AND e.effective_from <= CURRENT_DATE';
+  }
+  if (options.subjectId) {
+    params.push(options.subjectId);
+    dateSql += ` AND sess.subject_id = $${params.length}`;
+  }
+
+  // groupBy is validated by the caller (week or month)
+  const groupExpr = options.groupBy ? `date_trunc('${options.groupBy}', sess.date)::date` : null;
+  const subjectColumns = options.bySubject ? 'sess.subject_id, subj.name AS subject_name, subj.min_percentage,' : '';
+  const subjectGroup = options.bySubject ? ', sess.subject_id, subj.name, subj.min_percentage' : '';
+  const countedMarks = 'COUNT(CASE WHEN ast.counts_in_total THEN 1 END)';
+  const totalSql = mode === 'held'
+    ? `(COUNT(sess.id) - ${EXCUSED_COUNT_SQL})`
+    : countedMarks;
+
+  const result = await queryable.query(
+    `SELECT ${groupExpr ? `${groupExpr} AS period_start,` : ''}
+            ${subjectColumns}
+            st.id AS student_id,
+            st.name AS student_name,
+            st.roll_number,
+            MIN(e.effective_from)::text AS enrolled_from,
+            CASE WHEN BOOL_OR(e.effective_to IS NULL) THEN NULL ELSE MAX(e.effective_to)::text END AS enrolled_to,
+            COUNT(sess.id) AS sessions_held,
+            COUNT(a.id) AS sessions_marked,
+            (COUNT(sess.id) - COUNT(a.id)) AS unmarked,
+            ${totalSql} AS total,
+            ${WEIGHTED_PRESENTS_SQL} AS presents,
+            (${totalSql} - ${WEIGHTED_PRESENTS_SQL}) AS absents,
+            ${EXCUSED_COUNT_SQL} AS excused
+     FROM enrollments e
+     JOIN students st ON st.id = e.student_id
+     LEFT JOIN sessions sess
+            ON sess.class_id = e.class_id
+           AND sess.date >= e.effective_from
+           AND (e.effective_to IS NULL OR sess.date <= e.effective_to)
+           AND sess.date <= CURRENT_DATE${dateSql}
+     ${options.bySubject ? 'LEFT JOIN subjects subj ON subj.id = sess.subject_id' : ''}
+     LEFT JOIN attendance a
+            ON a.student_id = st.id
+           AND a.session_id = sess.id
+     LEFT JOIN attendance_statuses ast ON ast.code = a.status
+     WHERE e.class_id = $1${enrollmentSql}
+     GROUP BY ${groupExpr ? `${groupExpr},` : ''} st.id, st.name, st.roll_number${subjectGroup}
+     ORDER BY ${groupExpr ? `${groupExpr},` : ''} st.name${options.bySubject ? ', subj.name NULLS LAST' : ''}`,
+    params
+  );
+
+  return result.rows.map((r) => {
+    const row = Object.assign({}, r, {
+      sessions_held: Number(r.sessions_held),
+      sessions_marked: Number(r.sessions_marked),
+      unmarked: Number(r.unmarked),
+      total: Number(r.total),
+      presents: Number(r.presents),
+      absents: Number(r.absents),
+      excused: Number(r.excused),
+      denominator: mode,
+    });
+    row.percent = attendancePercent(row.presents, row.total);
+    if (options.bySubject) {
+      row.min_percentage = r.min_percentage === null ? null : Number(r.min_percentage);
+      row.below_minimum = belowMinimum(row.percent, row.total, row.min_percentage);
+    }
+    return row;
+  });
+}
+
+module.exports = {
+  WEIGHTED_PRESENTS_SQL,
+  EXCUSED_COUNT_SQL,
+  DENOMINATOR_MODES,
+  DEFAULT_DENOMINATOR_MODE,
+  DENOMINATOR_LABELS,
+  resolveDenominatorMode,
+  attendancePercent,
+  belowMinimum,
+  formatCount,
+  toDateString,
+  getClassAttendanceStats,
+};
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { fakePool, recordingQueryable } = require('./helpers');
+const { convertPlaceholders, getUserFromRequest, createSession } = require('../server');
+
+test('convertPlaceholders numbers each ? in order and keeps the params', () => {
+  const params = [1, 'x', 3];
+  const converted = convertPlaceholders('SELECT * FROM t WHERE a = ? AND b = ?::text OR c IN (?)', params);
+  assert.equal(converted.sql, 'SELECT * FROM t WHERE a = $1 AND b = $2::text OR c IN ($3)');
+  assert.equal(converted.params, params);
+  assert.deepEqual(convertPlaceholders('SELECT 1', []), { sql: 'SELECT 1', params: [] });
+});
+
+test('createSession stores only the token hash and lets the database compute the expiry', async (t) => {
+  const queryable = recordingQueryable();
+  t.mock.method(fakePool, 'query', queryable.query);
+
+  const session = await createSession(
+    { id: 4, username: 'ana', role: 'teacher', class_id: 2, password_hash: 'secret' },
+    { headers: { 'user-agent': 'test-agent' } }
+  );
+
+  assert.match(session.token, /^[0-9a-f]{64}$/);
+  assert.deepEqual(session.user, { id: 4, username: 'ana', role: 'teacher', class_id: 2, student_id: null });
+  assert.equal(queryable.calls.length, 1);
+  const { sql, params } = queryable.calls[0];
+  assert.match(sql, /VALUES \(\$1, \$2, \$3, NOW\(\) \+ \(\$4::int \* INTERVAL '1 second'\)\)/);
+  assert.doesNotMatch(sql, /\?/);
+  assert.equal(params.length, 4);
+  assert.equal(params[0], 4);
+  assert.match(params[1], /^[0-9a-f]{64}$/);
+  assert.notEqual(params[1], session.token);
+  assert.equal(params[2], 'test-agent');
+  assert.ok(Number.isInteger(params[3]) && params[3] > 0);
+});
+
+test('getUserFromRequest looks the session up by token hash', async (t) => {
+  const row = {
+    session_id: 9, last_seen_at: new Date(), id: 4, username: 'ana', role: 'teacher', class_id: 2, student_id: null,
+  };
+  const queryable = recordingQueryable([row]);
+  t.mock.method(fakePool, 'query', queryable.query);
+
+  assert.equal(await getUserFromRequest({ headers: {}, query: {} }), null);
+  assert.equal(queryable.calls.length, 0);
+
+  const auth = await getUserFromRequest({ headers: { 'x-auth-token': 'abc' }, query: {} });
+  assert.deepEqual(auth, {
+    user: { id: 4, username: 'ana', role: 'teacher', class_id: 2, student_id: null },
+    sessionId: 9,
+  });
+  // Seen just now, so last_seen_at is not touched
+  assert.equal(queryable.calls.length, 1);
+  assert.match(queryable.calls[0].sql, /WHERE s\.token_hash = \$1 AND s\.expires_at > NOW\(\)/);
+  assert.deepEqual(queryable.calls[0].params, [crypto.createHash('sha256').update('abc').digest('hex')]);
+});
+
+test('getUserFromRequest touches sessions not seen for a while', async (t) => {
+  const row = {
+    session_id: 9, last_seen_at: new Date(Date.now() - 10 * 60 * 1000), id: 4, username: 'ana', role: 'admin',
+  };
+  const queryable = recordingQueryable([row]);
+  t.mock.method(fakePool, 'query', queryable.query);
+
+  await getUserFromRequest({ headers: {}, query: { token: 'abc' } });
+  assert.equal(queryable.calls.length, 2);
+  assert.deepEqual(queryable.calls[1], { sql: 'UPDATE auth_sessions SET last_seen_at = NOW() WHERE id = $1', params: [9] });
+});
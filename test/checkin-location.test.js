@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { validateCidrs, checkCheckinLocation } = require('../server');
+
+test('validateCidrs normalizes entries to address/prefix', () => {
+  assert.deepEqual(
+    validateCidrs(['10.0.0.0/8', ' 192.168.1.20 ', '2001:db8::/32', '::1']),
+    ['10.0.0.0/8', '192.168.1.20/32', '2001:db8::/32', '::1/128']
+  );
+  assert.deepEqual(validateCidrs([]), []);
+});
+
+test('validateCidrs rejects anything that is not a list of CIDRs', () => {
+  assert.throws(() => validateCidrs('10.0.0.0/8'), /^Error: Invalid allowed_cidrs: must be an array/);
+  for (const entry of ['campus', '10.0.0.0/33', '2001:db8::/129', '10.0.0.0/-1', '10.0.0.0/8.5', '10.0.0.300/24']) {
+    assert.throws(() => validateCidrs([entry]), /^Error: Invalid allowed_cidrs entry/, entry);
+  }
+});
+
+test('checkCheckinLocation allows everything without constraints', () => {
+  assert.equal(checkCheckinLocation(null, '203.0.113.5'), null);
+  assert.equal(checkCheckinLocation({ allowed_cidrs: [], radius_meters: null }, '203.0.113.5'), null);
+});
+
+test('checkCheckinLocation checks the client address against allowed_cidrs', () => {
+  const constraints = { allowed_cidrs: ['10.0.0.0/8', '2001:db8::/32'], radius_meters: null };
+  assert.equal(checkCheckinLocation(constraints, '10.1.2.3'), null);
+  assert.equal(checkCheckinLocation(constraints, '::ffff:10.1.2.3'), null);
+  assert.equal(checkCheckinLocation(constraints, '2001:db8::7'), null);
+  assert.equal(checkCheckinLocation(constraints, '192.168.1.1').reason, 'ip_not_allowed');
+  assert.equal(checkCheckinLocation(constraints, '::ffff:192.168.1.1').reason, 'ip_not_allowed');
+  assert.equal(checkCheckinLocation(constraints, undefined).reason, 'ip_not_allowed');
+});
+
+test('checkCheckinLocation checks the reported position against the geofence', () => {
+  const constraints = { allowed_cidrs: [], radius_meters: 100, latitude: '51.5007', longitude: '-0.1246' };
+  assert.equal(checkCheckinLocation(constraints, '203.0.113.5', 51.5007, -0.1246), null);
+  // About 55 m north
+  assert.equal(checkCheckinLocation(constraints, '203.0.113.5', '51.5012', '-0.1246'), null);
+  // About 1.1 km north
+  const outside = checkCheckinLocation(constraints, '203.0.113.5', 51.5107, -0.1246);
+  assert.equal(outside.reason, 'outside_geofence');
+  assert.match(outside.details, /allowed 100 m/);
+
+  for (const [lat, lon] of [[undefined, undefined], [null, -0.1246], [51.5, 'west'], [91, 0], [0, 181]]) {
+    assert.equal(checkCheckinLocation(constraints, '203.0.113.5', lat, lon).reason, 'location_missing');
+  }
+});
+
+test('checkCheckinLocation checks the network before the position', () => {
+  const constraints = { allowed_cidrs: ['10.0.0.0/8'], radius_meters: 100, latitude: 0, longitude: 0 };
+  assert.equal(checkCheckinLocation(constraints, '192.168.1.1').reason, 'ip_not_allowed');
+  assert.equal(checkCheckinLocation(constraints, '10.0.0.1').reason, 'location_missing');
+  assert.equal(checkCheckinLocation(constraints, '10.0.0.1', 0, 0), null);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { checkinStep, checkinCode, matchCheckinCode } = require('../server');
+
+const window = { secret: 'a'.repeat(64), code_ttl_seconds: 30 };
+// 2024-03-01T09:00:00Z, the start of a 30 second step
+const start = Date.UTC(2024, 2, 1, 9, 0, 0);
+
+test('checkinStep changes every code_ttl_seconds', () => {
+  const step = checkinStep(window, start);
+  assert.equal(checkinStep(window, start + 29999), step);
+  assert.equal(checkinStep(window, start + 30000), step + 1);
+  assert.equal(checkinStep({ secret: window.secret, code_ttl_seconds: 60 }, start), Math.floor(step / 2));
+});
+
+test('checkinCode is six digits and depends on the window secret and step', () => {
+  const step = checkinStep(window, start);
+  const code = checkinCode(window, step);
+  assert.match(code, /^\d{6}$/);
+  assert.equal(checkinCode(window, step), code);
+  assert.notEqual(checkinCode(window, step + 1), code);
+  assert.notEqual(checkinCode({ secret: 'b'.repeat(64), code_ttl_seconds: 30 }, step), code);
+});
+
+test('matchCheckinCode accepts the current and the previous code only', () => {
+  const step = checkinStep(window, start);
+  const current = checkinCode(window, step);
+
+  assert.equal(matchCheckinCode(window, current, start + 1000), step);
+  assert.equal(matchCheckinCode(window, ` ${current} `, start + 1000), step);
+  // Rotated while the student was typing
+  assert.equal(matchCheckinCode(window, current, start + 30000), step);
+  // Two rotations later the code has expired
+  assert.equal(matchCheckinCode(window, current, start + 60000), null);
+  // Codes of the next step are not valid yet
+  assert.equal(matchCheckinCode(window, checkinCode(window, step + 1), start + 1000), null);
+});
+
+test('matchCheckinCode rejects malformed codes', () => {
+  assert.equal(matchCheckinCode(window, '', start), null);
+  assert.equal(matchCheckinCode(window, null, start), null);
+  assert.equal(matchCheckinCode(window, '12345', start), null);
+  assert.equal(matchCheckinCode(window, '1234567', start), null);
+});
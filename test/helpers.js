@@ -0,0 +1,33 @@
+// Shared setup for the unit tests. db.js connects and applies schema.sql as soon as it is
+// required (and exits when there is no database), so the modules under test get a stand-in
+// pool instead. Tests only cover code that does not need PostgreSQL; a query that slips
+// through fails loudly rather than hanging.
+const dbPath = require.resolve('../db');
+
+const fakePool = {
+  query: async (sql) => {
+    throw new Error(`Unexpected database query in a unit test: ${String(sql).trim().split('\n')[0]}`);
+  },
+  connect: async () => {
+    throw new Error('Unexpected database connection in a unit test');
+  },
+};
+
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: fakePool };
+
+// Queryable that records every call and answers with the given rows
+function recordingQueryable(rows = []) {
+  const calls = [];
+  return {
+    calls,
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      return { rows, rowCount: rows.length };
+    },
+  };
+}
+
+module.exports = {
+  fakePool,
+  recordingQueryable,
+};
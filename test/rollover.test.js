@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { buildRolloverPlan } = require('../server');
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+test('buildRolloverPlan normalizes mappings and exceptions', () => {
+  const plan = buildRolloverPlan({
+    mappings: [
+      { from_class_id: '1', to_class_id: '2' },
+      { from_class_id: 2, to_class_name: '  Year 3  ', to_description: 'New intake' },
+    ],
+    exceptions: [
+      { student_id: '7' },
+      { student_id: 8, action: 'move', class_id: '5' },
+    ],
+    effective_date: '2024-09-01',
+  });
+
+  assert.deepEqual(plan.mappings, [
+    { from_class_id: 1, to_class_id: 2, to_class_name: '', to_description: null },
+    { from_class_id: 2, to_class_id: null, to_class_name: 'Year 3', to_description: 'New intake' },
+  ]);
+  assert.deepEqual([...plan.exceptions], [
+    [7, { action: 'hold_back', class_id: null }],
+    [8, { action: 'move', class_id: 5 }],
+  ]);
+  assert.equal(plan.effectiveDate, '2024-09-01');
+});
+
+test('buildRolloverPlan defaults to no exceptions and an effective date of today', () => {
+  const plan = buildRolloverPlan({ mappings: [{ from_class_id: 1, to_class_id: 2 }], exceptions: null });
+  assert.equal(plan.exceptions.size, 0);
+  assert.equal(plan.effectiveDate, today());
+});
+
+test('buildRolloverPlan rejects invalid mappings', () => {
+  const cases = [
+    [{}, /mappings must be a non-empty array/],
+    [{ mappings: [] }, /mappings must be a non-empty array/],
+    [{ mappings: [null] }, /^Error: Invalid mappings\[0\]\.from_class_id/],
+    [{ mappings: [{ from_class_id: 1, to_class_id: 'x' }] }, /^Error: Invalid mappings\[0\]\.to_class_id/],
+    [{ mappings: [{ from_class_id: 1, to_class_name: '  ' }] }, /^Error: Invalid mappings\[0\]: to_class_id or to_class_name is required/],
+    [
+      { mappings: [{ from_class_id: 1, to_class_id: 2 }, { from_class_id: '1', to_class_id: 3 }] },
+      /^Error: Invalid mappings: class 1 is mapped more than once/,
+    ],
+  ];
+  for (const [body, message] of cases) {
+    assert.throws(() => buildRolloverPlan(body), message, JSON.stringify(body));
+  }
+});
+
+test('buildRolloverPlan rejects invalid exceptions', () => {
+  const mappings = [{ from_class_id: 1, to_class_id: 2 }];
+  const cases = [
+    [{ student_id: 7 }, /exceptions must be an array/],
+    [[{ action: 'hold_back' }], /^Error: Invalid exceptions\[0\]\.student_id/],
+    [[{ student_id: 7 }, { student_id: '7' }], /^Error: Invalid exceptions: student 7 is listed more than once/],
+    [[{ student_id: 7, action: 'expel' }], /^Error: Invalid exceptions\[0\]\.action\. Must be one of: hold_back, move/],
+    [[{ student_id: 7, action: 'move' }], /^Error: Invalid exceptions\[0\]\.class_id/],
+  ];
+  for (const [exceptions, message] of cases) {
+    assert.throws(() => buildRolloverPlan({ mappings, exceptions }), message, JSON.stringify(exceptions));
+  }
+});
+
+test('buildRolloverPlan rejects malformed and future effective dates', () => {
+  const mappings = [{ from_class_id: 1, to_class_id: 2 }];
+  assert.throws(() => buildRolloverPlan({ mappings, effective_date: '01/09/2024' }), /^Error: Invalid date format/);
+  const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  assert.throws(
+    () => buildRolloverPlan({ mappings, effective_date: tomorrow }),
+    /^Error: Invalid effective_date: cannot be in the future/
+  );
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { recordingQueryable } = require('./helpers');
+const {
+  DEFAULT_DENOMINATOR_MODE,
+  resolveDenominatorMode,
+  attendancePercent,
+  belowMinimum,
+  formatCount,
+  toDateString,
+  getClassAttendanceStats,
+} = require('../stats');
+
+test('resolveDenominatorMode defaults to marked and rejects unknown modes', () => {
+  assert.equal(DEFAULT_DENOMINATOR_MODE, 'marked');
+  assert.equal(resolveDenominatorMode(undefined), 'marked');
+  assert.equal(resolveDenominatorMode(null), 'marked');
+  assert.equal(resolveDenominatorMode(''), 'marked');
+  assert.equal(resolveDenominatorMode('held'), 'held');
+  assert.throws(() => resolveDenominatorMode('all'), /^Error: Invalid denominator/);
+  assert.throws(() => resolveDenominatorMode('Held'), /^Error: Invalid denominator/);
+});
+
+test('attendancePercent rounds to one decimal and treats an empty total as 0.0', () => {
+  assert.equal(attendancePercent(3, 4), '75.0');
+  assert.equal(attendancePercent(2, 3), '66.7');
+  assert.equal(attendancePercent('1.5', '2'), '75.0');
+  assert.equal(attendancePercent(0, 0), '0.0');
+  assert.equal(attendancePercent(null, undefined), '0.0');
+});
+
+test('belowMinimum only applies once something was counted against a set minimum', () => {
+  assert.equal(belowMinimum('60.0', 5, 75), true);
+  assert.equal(belowMinimum('75.0', 5, 75), false);
+  assert.equal(belowMinimum('0.0', 0, 75), false);
+  assert.equal(belowMinimum('10.0', 5, null), false);
+  assert.equal(belowMinimum('10.0', 5, undefined), false);
+});
+
+test('formatCount drops trailing zeros of weighted counts', () => {
+  assert.equal(formatCount('2.50'), '2.5');
+  assert.equal(formatCount('3.0'), '3');
+  assert.equal(formatCount(null), '0');
+});
+
+test('toDateString keeps the local calendar date of DATE columns', () => {
+  assert.equal(toDateString(new Date(2024, 1, 29)), '2024-02-29');
+  assert.equal(toDateString('2024-03-01T10:00:00Z'), '2024-03-01');
+});
+
+test('getClassAttendanceStats converts the aggregates and computes percentages', async () => {
+  const queryable = recordingQueryable([{
+    student_id: 7,
+    student_name: 'Asha',
+    sessions_held: '10',
+    sessions_marked: '8',
+    unmarked: '2',
+    total: '8',
+    presents: '6.5',
+    absents: '1.5',
+    excused: '0',
+    enrolled_from: '2024-01-08',
+    enrolled_to: null,
+  }]);
+
+  const rows = await getClassAttendanceStats(3, { from: '2024-01-01', to: '2024-03-31' }, queryable);
+
+  assert.equal(queryable.calls.length, 1);
+  assert.deepEqual(queryable.calls[0].params, [3, '2024-01-01', '2024-03-31']);
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].denominator, 'marked');
+  assert.equal(rows[0].total, 8);
+  assert.equal(rows[0].presents, 6.5);
+  assert.equal(rows[0].unmarked, 2);
+  assert.equal(rows[0].percent, '81.3');
+});
+
+test('getClassAttendanceStats counts every held session in held mode', async () => {
+  const queryable = recordingQueryable([]);
+  await getClassAttendanceStats(3, { mode: 'held' }, queryable);
+  assert.match(queryable.calls[0].sql, /\(COUNT\(sess\.id\) - COUNT\(CASE WHEN ast\.counts_in_total = FALSE THEN 1 END\)\) AS total/);
+
+  const marked = recordingQueryable([]);
+  await getClassAttendanceStats(3, {}, marked);
+  assert.match(marked.calls[0].sql, /COUNT\(CASE WHEN ast\.counts_in_total THEN 1 END\) AS total/);
+  assert.deepEqual(marked.calls[0].params, [3]);
+});
+
+test('getClassAttendanceStats flags subjects below their minimum', async () => {
+  const queryable = recordingQueryable([
+    { subject_id: 1, min_percentage: '75', total: '4', presents: '2', sessions_held: '4', sessions_marked: '4', unmarked: '0', absents: '2', excused: '0' },
+    { subject_id: 2, min_percentage: null, total: '4', presents: '1', sessions_held: '4', sessions_marked: '4', unmarked: '0', absents: '3', excused: '0' },
+  ]);
+  const rows = await getClassAttendanceStats(3, { bySubject: true, subjectId: 1 }, queryable);
+
+  assert.deepEqual(queryable.calls[0].params, [3, 1]);
+  assert.equal(rows[0].below_minimum, true);
+  assert.equal(rows[0].min_percentage, 75);
+  assert.equal(rows[1].below_minimum, false);
+  assert.equal(rows[1].min_percentage, null);
+});
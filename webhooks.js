@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const db = require('./db');
+
+// Outbound webhooks. Events are queued as one webhook_deliveries row per subscribed endpoint,
+// usually inside the transaction that caused them, and posted by processWebhookQueue.
+// Each request carries an HMAC-SHA256 signature of "<timestamp>.<body>" made with the
+// endpoint's secret:
+//   X-Webhook-Signature: sha256=<hex digest>
+//   X-Webhook-Timestamp: <unix seconds>
+// Failed deliveries are retried with exponential backoff until WEBHOOK_MAX_ATTEMPTS.
+
+const WEBHOOK_EVENTS = ['attendance.marked', 'session.created', 'student.created', 'student.transferred', 'alert.raised'];
+
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6', 10);
+// First retry after this many minutes, doubling on every further failure
+const WEBHOOK_RETRY_MINUTES = parseInt(process.env.WEBHOOK_RETRY_MINUTES || '1', 10);
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+const WEBHOOK_BATCH_SIZE = 20;
+
+function generateWebhookSecret() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function signWebhookPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Queue an event for every active endpoint subscribed to it. Pass the transaction client
+// so the deliveries only exist if the change they describe is committed.
+async function queueWebhookEvent(queryable, event, data) {
+  const payload = {
+    id: crypto.randomUUID(),
+    event,
+    created_at: new Date().toISOString(),
+    data,
+  };
+  const result = await queryable.query(
+    `INSERT INTO webhook_deliveries (endpoint_id, event, payload)
+     SELECT id, $1, $2::jsonb FROM webhook_endpoints
+     WHERE active = TRUE AND $1 = ANY(events)`,
+    [event, JSON.stringify(payload)]
+  );
+  return result.rowCount;
+}
+
+async function postDelivery(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const response = await fetch(delivery.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'online-attendance-webhooks',
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': String(delivery.id),
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': signWebhookPayload(delivery.secret, timestamp, body),
+    },
+    body,
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+  });
+  return response.status;
+}
+
+// Claimed deliveries are pushed this far into the future so nobody else picks them up while
+// they are being posted; if this process dies mid-batch they become due again afterwards.
+const WEBHOOK_CLAIM_MS = WEBHOOK_TIMEOUT_MS * WEBHOOK_BATCH_SIZE + 60000;
+
+// Claim a batch of due deliveries in a short transaction. Rows are locked with SKIP LOCKED
+// so several server instances can work the queue without posting anything twice.
+async function claimDueDeliveries() {
+  const result = await db.query(
+    `WITH due AS (
+       SELECT id FROM webhook_deliveries
+       WHERE status = 'pending' AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at, id
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     UPDATE webhook_deliveries d
+     SET next_attempt_at = NOW() + ($2::int * INTERVAL '1 millisecond')
+     FROM due, webhook_endpoints e
+     WHERE d.id = due.id AND e.id = d.endpoint_id
+     RETURNING d.*, e.url, e.secret`,
+    [WEBHOOK_BATCH_SIZE, WEBHOOK_CLAIM_MS]
+  );
+  return result.rows.sort((x, y) => x.id - y.id);
+}
+
+// Post due deliveries. The HTTP requests run outside any transaction and each result is
+// recorded with its own update, so a slow endpoint never holds a pooled connection.
+async function processWebhookQueue() {
+  const summary = { delivered: 0, retrying: 0, failed: 0 };
+  const due = await claimDueDeliveries();
+
+  for (const delivery of due) {
+    const attempts = delivery.attempts + 1;
+    let responseStatus = null;
+    let error = null;
+    try {
+      responseStatus = await postDelivery(delivery);
+      if (responseStatus < 200 || responseStatus >= 300) {
+        error = `HTTP ${responseStatus}`;
+      }
+    } catch (postErr) {
+      error = String(postErr.message || postErr);
+    }
+
+    if (!error) {
+      await db.query(
+        `UPDATE webhook_deliveries
+         SET status = 'delivered', attempts = $1, response_status = $2, last_error = NULL, delivered_at = NOW()
+         WHERE id = $3`,
+        [attempts, responseStatus, delivery.id]
+      );
+      summary.delivered += 1;
+      continue;
+    }
+
+    const giveUp = attempts >= WEBHOOK_MAX_ATTEMPTS;
+    const delayMinutes = WEBHOOK_RETRY_MINUTES * Math.pow(2, attempts - 1);
+    await db.query(
+      `UPDATE webhook_deliveries
+       SET status = $1, attempts = $2, response_status = $3, last_error = $4,
+           next_attempt_at = NOW() + ($5::int * INTERVAL '1 minute')
+       WHERE id = $6`,
+      [giveUp ? 'failed' : 'pending', attempts, responseStatus, error.slice(0, 1000), delayMinutes, delivery.id]
+    );
+    summary[giveUp ? 'failed' : 'retrying'] += 1;
+  }
+
+  return summary;
+}
+
+// Fire-and-forget run after a request has committed new deliveries, so subscribers
+// hear about changes right away rather than on the next scheduled run
+function kickWebhookQueue() {
+  setImmediate(() => {
+    processWebhookQueue().catch((err) => console.error('Webhook delivery error:', err.message));
+  });
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  signWebhookPayload,
+  queueWebhookEvent,
+  processWebhookQueue,
+  kickWebhookQueue,
+};